@@ -16,7 +16,8 @@ console.log('Compiling %s from %s into %s', argv.id, argv.paths, argv.dest)
 co(compileAll.compileModule(argv.id, {
   dest: argv.dest,
   paths: argv.paths,
-  sourceRoot: argv['source-root'] || '/'
+  sourceRoot: argv['source-root'] || '/',
+  env: argv.env && JSON.parse(argv.env)
 }))
   .then(function() {
     process.exit()
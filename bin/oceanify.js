@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+
+'use strict'
+
+const path = require('path')
+const minimist = require('minimist')
+const co = require('co')
+
+const oceanify = require('..')
+const readConfig = require('../lib/readConfig')
+const stats = require('../lib/stats')
+
+
+const USAGE = `
+Usage: oceanify <command> [options]
+       oceanify stats [stats.json] [another-stats.json]
+
+Commands:
+  build   Compile components, modules and stylesheets into dest
+  serve   Start a development server
+  graph   Print the components and the modules required by them
+  stats   Print the sizes of the modules in each bundle, or the differences
+          between two stats files
+
+Options:
+  --root           The root directory, defaults to current working directory
+  --paths          The components load paths, defaults to components
+  --dest           The destination directory, defaults to public
+  --match          The main components to build, defaults to {main,main/**/*}.js
+  --css-match      The stylesheets to build, defaults to {main,main/**/*}.css
+  --hash           Fingerprint the file names and generate manifest.json
+  --common-chunks  Extract the modules shared by N main components
+  --cache          Reuse the compiled results
+  --workers        The number of worker processes to compile in
+  --source-root    The source root in source maps
+  --stats          Record the sizes of the modules in dest/stats.json and print them
+  --css            Set to extract to put the stylesheets required by main components in <main>.css
+  --targets        Transpile ES2015+ syntax for the browsers, like "> 1%, ie 9"
+  --browsers       Prefix the stylesheets for the browsers, like "> 1%, ie 9"
+  --inline-limit   Inline the assets in url() of stylesheets no larger than the bytes as data uri
+  --port           The port of the development server, defaults to 5000
+  --hot            Enable hot module replacement in the development server
+  --why            Print the require chains from components to a module, like inherits@2.0.1
+  --json           Print the graph, or the differences of stats, in JSON
+  --dot            Print the graph in DOT language
+
+The defaults can be put in oceanify.config.js, or the oceanify section in package.json.
+`
+
+const argv = minimist(process.argv.slice(2), {
+  boolean: ['hash', 'hot', 'help', 'json', 'dot', 'stats'],
+  string: ['root', 'paths', 'dest', 'match', 'css-match', 'source-root', 'why', 'targets', 'css', 'browsers'],
+  default: { hash: undefined, hot: undefined, stats: undefined }
+})
+
+
+/**
+ * Merge the options passed in command line into the ones in config.
+ * `--css-match` is turned into `cssMatch` and so on.
+ *
+ * @param {Object} config
+ * @param {Object} args
+ *
+ * @returns {Object}
+ */
+function mergeOptions(config, args) {
+  const opts = Object.assign({}, config)
+
+  for (const name in args) {
+    if (name === '_' || args[name] === undefined) continue
+    opts[name.replace(/-(\w)/g, (m, chr) => chr.toUpperCase())] = args[name]
+  }
+
+  return opts
+}
+
+
+function* build(opts) {
+  const cache = yield* oceanify.compileAll(Object.assign({}, opts, {
+    match: opts.match || '{main,main/**/*}.js'
+  }))
+
+  yield* oceanify.compileStyleSheets(Object.assign({}, opts, {
+    match: opts.cssMatch
+  }))
+
+  const dest = path.resolve(opts.root, opts.dest || 'public')
+
+  if (opts.stats) {
+    console.log(stats.toTable(require(path.join(dest, 'stats.json'))))
+  }
+
+  if (cache) {
+    console.log('Cache hits %d, misses %d', cache.hits, cache.misses)
+  }
+
+  console.log('Compiled into %s', dest)
+}
+
+
+function* serve(opts) {
+  const koa = require('koa')
+  const serveStatic = require('koa-static')
+  const app = koa()
+  const port = opts.port || 5000
+
+  app.use(oceanify(opts))
+  app.use(serveStatic(opts.root))
+
+  yield new Promise(function(resolve) {
+    app.listen(port, resolve)
+  })
+
+  console.log('Server started at %s', port)
+}
+
+
+function* graph(opts) {
+  const result = yield* oceanify.graph.parse(opts)
+
+  if (opts.why) {
+    const chains = oceanify.graph.why(result, opts.why)
+
+    if (opts.json) {
+      console.log(JSON.stringify(chains, null, 2))
+    } else if (chains.length) {
+      console.log(chains.map(chain => chain.join(' > ')).join('\n'))
+    } else {
+      console.log('%s is not required by any component', opts.why)
+    }
+  }
+  else if (opts.json) {
+    console.log(JSON.stringify(result, null, 2))
+  }
+  else if (opts.dot) {
+    console.log(oceanify.graph.toDOT(result))
+  }
+  else {
+    console.log(oceanify.graph.toText(result))
+  }
+}
+
+
+function* printStats(opts) {
+  const files = argv._.slice(1)
+
+  function read(file) {
+    return require(path.resolve(opts.root, file))
+  }
+
+  if (files.length < 2) {
+    const file = files[0] || path.join(opts.dest || 'public', 'stats.json')
+    return console.log(stats.toTable(read(file)))
+  }
+
+  const changes = stats.diff(read(files[0]), read(files[1]))
+
+  if (opts.json) {
+    console.log(JSON.stringify(changes, null, 2))
+  } else {
+    console.log(stats.toDiffTable(changes))
+  }
+}
+
+
+const commands = { build, serve, graph, stats: printStats }
+const command = commands[argv._[0]]
+
+if (!command || argv.help) {
+  console.log(USAGE)
+  process.exit(command || argv.help ? 0 : 1)
+}
+
+const root = path.resolve(argv.root || process.cwd())
+const opts = mergeOptions(readConfig(root), argv)
+
+opts.root = root
+
+co(command(opts))
+  .catch(function(err) {
+    console.error(err.stack)
+    process.exit(1)
+  })
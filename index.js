@@ -7,6 +7,7 @@
 const path = require('path')
 const co = require('co')
 const crypto = require('crypto')
+const PassThrough = require('stream').PassThrough
 const semver = require('semver')
 const matchRequire = require('match-require')
 const mime = require('mime')
@@ -24,15 +25,32 @@ const compileAll = require('./lib/compileAll')
 const compileStyleSheets = require('./lib/compileStyleSheets')
 const findComponent = require('./lib/findComponent')
 const findModule = require('./lib/findModule')
+const watch = require('./lib/watch')
+const graph = require('./lib/graph')
+const transform = require('./lib/transform')
+const textModule = require('./lib/textModule')
+const styleModule = require('./lib/styleModule')
+const browsers = require('./lib/browsers')
+const browserField = require('./lib/browserField')
+const resolve = require('./lib/resolve')
+const shims = require('./lib/shims')
+const processEnv = require('./lib/processEnv')
+const { alternatives, preprocess } = require('./lib/preprocess')
 const Cache = require('./lib/Cache')
 
 const loaderPath = path.join(__dirname, 'loader.js')
 const loaderSource = fs.readFileSync(loaderPath, 'utf8')
 const loaderStats = fs.statSync(loaderPath)
+const loaderLines = loaderSource.split('\n').length
 
 const RE_EXT = /(\.(?:css|js))$/i
+const RE_STYLE_MODULE = /\.module\.css\.js$/
+const RE_PREPROCESSED = /\.(?:scss|less)$/
 const RE_ASSET_EXT = /\.(?:gif|jpg|jpeg|png|svg|swf|ico)$/i
 
+const HOT_PATH = '__oceanify/events'
+const RE_COMBO = /^\/([^?]*)\?\?([^?#]+)/
+
 const exists = fs.exists
 const readFile = fs.readFile
 const lstat = fs.lstat
@@ -86,20 +104,46 @@ function parseId(id, system) {
 }
 
 
+/**
+ * Parse the ids in combo url like `/??a.js,b.js` or `/prefix/??a.js,b.js`.
+ *
+ * @param  {string} url
+ *
+ * @returns {string[]} ids
+ */
+function parseCombo(url) {
+  const m = url.match(RE_COMBO)
+
+  if (m) {
+    return m[2].split(',').map(function(id) {
+      return m[1] + id
+    })
+  }
+}
+
+
 /**
  * Factory
  *
  * @param {Object}           opts
+ * @param {string|string[]} [opts.browsers]               The browsers to prefix stylesheets for, defaults to the browserslist config
  * @param {string|string[]} [opts.cacheExcept=[]]         Cache exceptions
  * @param {boolean}         [opts.cachePersist=false]     Don't clear cache every time
+ * @param {boolean}         [opts.dedupe=false]           Collapse the compatible versions of modules into the highest one
  * @param {string}          [opts.dest=public]            Cache destination
+ * @param {Object}          [opts.env]                    The values to replace process.env.X with, NODE_ENV defaults to development
  * @param {boolean}         [opts.express=false]          Express middleware
+ * @param {boolean}         [opts.hot=false]              Push changes to browser for hot module replacement
  * @param {Object}          [opts.loaderConfig={}]        Loader config
  * @param {string|string[]} [opts.paths=components]       Base directory name or path
  * @param {string}          [opts.root=process.cwd()]     Override current working directory
  * @param {boolean}         [opts.serveSource=false]      Serve sources for devtools
+ * @param {Object}          [opts.shims]                  The packages to shim Node built-ins with, or false to leave them empty
+ * @param {boolean}         [opts.strict=false]           Throw if the version of a module doesn't satisfy the range required
+ * @param {string[]}        [opts.textExtensions]         The text files to be required as strings, defaults to .html and .tpl
+ * @param {Array}           [opts.transforms=[]]          Transform the sources before wrapping them with define()
  *
- * @returns {Function|GeneratorFunction} A middleware for Koa or Express
+ * @returns {Function|GeneratorFunction} A middleware for Koa or Express, with close() to stop watching
  */
 function oceanify(opts = {}) {
   const encoding = 'utf8'
@@ -112,6 +156,9 @@ function oceanify(opts = {}) {
     .map(function(dir) {
       return path.resolve(root, dir)
     })
+  const transforms = transform.normalize(opts.transforms, root)
+  const extensions = textModule.extensions(opts.textExtensions)
+  const env = processEnv.normalize(opts.env, 'development')
 
   const cache = new Cache({
     dest: dest,
@@ -126,6 +173,9 @@ function oceanify(opts = {}) {
 
   if (cacheExceptions.length) debug('Cache exceptions %s', cacheExceptions)
   if (serveSource) debug('Serving source files.')
+  if (opts.hot) loaderConfig.hot = '/' + HOT_PATH
+  // tell the loader not to append .js to the ids of JSON and text modules
+  loaderConfig.extensions = extensions
 
   let dependenciesMap = null
   let system = null
@@ -133,7 +183,7 @@ function oceanify(opts = {}) {
   let parseSystemPromise = null
 
   if (['name', 'version', 'main', 'modules'].every(name => !!loaderConfig[name])) {
-    parseSystemPromise = new Promise(function(resolve) {
+    parseSystemPromise = new Promise(function() {
       pkg = system = loaderConfig
     })
   } else {
@@ -141,21 +191,26 @@ function oceanify(opts = {}) {
       pkg = require(path.join(root, 'package.json'))
       dependenciesMap = yield* parseMap(opts)
       system = parseSystem(pkg, dependenciesMap)
-      Object.assign(loaderConfig, system)
+      Object.assign(loaderConfig, system, {
+        shims: shims.pick(shims.normalize(opts.shims), dependenciesMap)
+      })
     })
   }
 
-  function mightCacheModule(mod) {
+  function mightCacheModule(mod, fpath) {
+    // the modules are precompiled in another process, without the transforms.
     if (mod.name === pkg.name ||
         cacheExceptions[0] === '*' ||
         cacheExceptions.indexOf(mod.name) >= 0 ||
+        transforms.some(item => transform.matches(item, fpath)) ||
         !dependenciesMap) {
       return
     }
 
     cache.precompile(mod, {
       dependenciesMap: dependenciesMap,
-      system: system
+      system: system,
+      env: env
     })
   }
 
@@ -171,21 +226,57 @@ oceanify["import"](${JSON.stringify(id.replace(RE_EXT, ''))})
     if (!system) yield parseSystemPromise
 
     const mod = parseId(id, system)
+    const data = mod.version && system.modules[mod.name][mod.version]
+
+    // the files required in the way of Node, such as the directories with
+    // index.js, are served under the ids requested too.
+    if (data && mod.name !== pkg.name && dependenciesMap) {
+      const dir = findModule(Object.assign({}, mod, { entry: '' }), dependenciesMap)
+      const file = dir && (yield* resolve.file(dir, mod.entry.replace(/\.js$/, '')))
+      if (file) mod.entry = file
+    }
+
+    // the files replaced in the browser field are served under the ids
+    // requested, and the ones replaced with false are resolved to an empty
+    // module by the loader, which are never requested.
+    if (data && data.browser && path.extname(mod.entry) === '.js') {
+      const entry = browserField.replace(data.browser, mod.entry)
+      if (entry === false) return
+      mod.entry = `${entry}.js`
+    }
+
     const fpath = mod.name === pkg.name
       ? yield* findComponent(mod.entry, paths)
       : findModule(mod, dependenciesMap)
 
     if (!fpath) return
-    if (mod.name in system.modules) mightCacheModule(mod)
+    if (mod.name in system.modules) mightCacheModule(mod, fpath)
 
-    let content = yield readFile(fpath, encoding)
     const stats = yield lstat(fpath)
+    const source = yield readFile(fpath, encoding)
+    const factory = textModule.test(fpath, extensions)
+      ? textModule.factory(fpath, source)
+      : source
+    const result = yield* transform.apply(transforms, factory, {
+      id: id.replace(RE_EXT, ''),
+      filename: fpath,
+      isModule: mod.name !== pkg.name,
+      root,
+      env
+    })
 
-    const dependencies = matchRequire.findAll(content)
-    content = define(id.replace(RE_EXT, ''), dependencies, content)
+    const dependencies = matchRequire.findAll(result.code)
+    let content = define(id.replace(RE_EXT, ''), dependencies, result.code)
+    let map = result.map
 
     if (isMain) {
       content = yield* formatMain(id, content)
+      // the module starts after the loader and oceanify.config()
+      if (map) map = transform.shift(map, loaderLines + 1)
+    }
+
+    if (map) {
+      content += `\n//# sourceMappingURL=data:application/json;base64,${Buffer.from(JSON.stringify(map)).toString('base64')}`
     }
 
     return [content, {
@@ -196,23 +287,81 @@ oceanify["import"](${JSON.stringify(id.replace(RE_EXT, ''))})
     }]
   }
 
-  const importer = postcss().use(atImport({ path: paths }))
-  const prefixer = postcss().use(autoprefixer())
+  const prefixer = postcss().use(autoprefixer({ browsers: browsers(root, opts.browsers) }))
+
+  function* findStyle(id) {
+    if (!system) yield parseSystemPromise
 
-  function* readStyle(id) {
     const mod = parseId(id, system)
+
+    // the stylesheets in components might be written in Sass or Less
+    if (mod.name === pkg.name) {
+      const files = alternatives(mod.entry)
+      for (let i = 0; i < files.length; i++) {
+        const fpath = yield* findComponent(files[i], paths)
+        if (fpath) return fpath
+      }
+      return
+    }
+
+    // the stylesheets in modules might be required by components too
+    const fpath = mod.version && dependenciesMap && findModule(mod, dependenciesMap)
+    if (fpath && (yield exists(fpath))) return fpath
+  }
+
+  const styleCache = {}
+
+  /**
+   * Check the mtimes of the files a stylesheet is made of, which are the
+   * stylesheet itself and the ones imported.
+   *
+   * @param {Object} mtimes  The map of files to mtimes when the stylesheet was processed
+   *
+   * @yield {boolean}
+   */
+  function* isFresh(mtimes) {
+    const files = Object.keys(mtimes)
+
+    try {
+      const stats = yield files.map(file => lstat(file))
+      return stats.every((stat, i) => stat.mtime.getTime() === mtimes[files[i]])
+    } catch (err) {
+      return false
+    }
+  }
+
+  function* readStyle(id) {
     const destPath = path.join(dest, id)
-    const fpath = yield* findComponent(mod.entry, paths)
+    const fpath = yield* findStyle(id)
 
     if (!fpath) return
 
-    const source = yield readFile(fpath, encoding)
+    // nothing in the import graph changed, hence no need to process again.
+    const cached = styleCache[id]
+    if (cached && cached.fpath === fpath && (yield* isFresh(cached.mtimes))) {
+      return [cached.content, { 'Last-Modified': cached.lastModified }]
+    }
+
+    const source = yield* preprocess(fpath, { root, paths })
+    // the full paths, for the relative imports not to be resolved from cwd
     const processOpts = {
-      from: path.relative(root, fpath),
-      to: path.relative(root, destPath),
-      map: { inline: false }
+      from: fpath,
+      to: destPath,
+      map: { inline: false, prev: source.map || false }
     }
-    const result = yield importer.process(source, processOpts)
+    let imported = []
+    const importer = postcss().use(atImport({
+      path: paths,
+      onImport: function(files) {
+        imported = files.filter(file => source.files.indexOf(file) < 0)
+      }
+    }))
+
+    if (styleModule.isModule(fpath)) {
+      importer.use(styleModule.scope({ file: path.relative(root, fpath), classes: {} }))
+    }
+
+    const result = yield importer.process(source.css, processOpts)
     let content = yield* cache.read(id, result.css)
 
     if (!content) {
@@ -226,12 +375,116 @@ oceanify["import"](${JSON.stringify(id.replace(RE_EXT, ''))})
       content = resultWithPrefix.css
     }
 
+    const files = source.files.concat(imported)
+    const stats = yield files.map(file => lstat(file))
+    const mtimes = {}
+    let lastModified = stats[0].mtime
+
+    for (let i = 0; i < files.length; i++) {
+      mtimes[files[i]] = stats[i].mtime.getTime()
+      if (stats[i].mtime > lastModified) lastModified = stats[i].mtime
+    }
+
+    lastModified = lastModified.toJSON()
+    styleCache[id] = { fpath, mtimes, content, lastModified }
+
+    return [content, { 'Last-Modified': lastModified }]
+  }
+
+
+  /**
+   * The class names in `.module.css` are exported by `.module.css.js`, which
+   * appends the stylesheet too.
+   *
+   * @param {string} id
+   */
+  function* readStyleModule(id) {
+    const styleId = id.replace(/\.js$/, '')
+    const fpath = yield* findStyle(styleId)
+
+    if (!fpath) return
+
+    const { css, classes } = yield* styleModule.compile(fpath, {
+      root, paths, browsers: opts.browsers
+    })
+    const content = define(styleId, [], styleModule.factory(css, classes, opts.hot))
+
     return [content, {
       'Last-Modified': (yield lstat(fpath)).mtime.toJSON()
     }]
   }
 
 
+  const hotClients = []
+
+  /**
+   * Tell browsers connected to the event stream about the changed file. The
+   * pushed data is the module id of the file, with `.js` stripped.
+   */
+  function hotUpdate(fpath) {
+    const ext = path.extname(fpath)
+    const base = paths.filter(function(dir) {
+      return fpath.indexOf(dir + path.sep) === 0
+    })[0]
+
+    if (!pkg || !base) return
+    if (!(RE_EXT.test(ext) || RE_PREPROCESSED.test(ext) || extensions.indexOf(ext) >= 0)) return
+
+    // the stylesheets written in Sass or Less are requested as css
+    const entry = path.relative(base, fpath).split(path.sep).join('/')
+      .replace(RE_PREPROCESSED, '.css')
+    const id = [pkg.name, pkg.version, entry.replace(/\.js$/, '')].join('/')
+
+    debug('Hot update %s', id)
+    for (let i = 0; i < hotClients.length; i++) {
+      hotClients[i].write(`data: ${id}\n\n`)
+    }
+  }
+
+  /**
+   * Keep the connection open as a server-sent events stream.
+   *
+   * @param {IncomingMessage} req
+   * @param {Writable}        client  The stream to write events to
+   */
+  function hotConnect(req, client) {
+    req.socket.setTimeout(0)
+    req.on('close', function() {
+      const i = hotClients.indexOf(client)
+      if (i >= 0) hotClients.splice(i, 1)
+    })
+    hotClients.push(client)
+    client.write(':ok\n\n')
+  }
+
+  const hotHeaders = {
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'Content-Type': 'text/event-stream'
+  }
+
+  const watcher = opts.hot ? watch(paths, hotUpdate) : null
+  if (watcher) debug('Watching %s', paths)
+
+  /**
+   * Expose `middleware.close()` to stop watching and end the event streams,
+   * hence the process can exit.
+   *
+   * @param {Function|GeneratorFunction} middleware
+   *
+   * @returns {Function|GeneratorFunction} The middleware
+   */
+  function closable(middleware) {
+    middleware.close = function() {
+      if (watcher) watcher.close()
+      hotClients.slice().forEach(function(client) {
+        client.end()
+      })
+    }
+    return middleware
+  }
+
+
   function isSource(id) {
     const fpath = path.join(root, id)
     return id.indexOf('node_modules') === 0 || paths.some(function(base) {
@@ -266,17 +519,28 @@ oceanify["import"](${JSON.stringify(id.replace(RE_EXT, ''))})
       }]
     }
     else if (id === 'loaderConfig.json') {
-      yield parseSystemPromise
-      result = [JSON.stringify(system), {
+      if (!system) yield parseSystemPromise
+      // same as the config of the main, hence the ids are resolved the same
+      const config = Object.assign({}, system, {
+        extensions: loaderConfig.extensions,
+        shims: loaderConfig.shims
+      })
+      result = [JSON.stringify(config), {
         'Last-Modified': loaderStats.mtime.toJSON()
       }]
     }
     else if (serveSource && isSource(id)) {
       result = yield* readSource(id)
     }
+    else if (RE_STYLE_MODULE.test(id)) {
+      result = yield* readStyleModule(id)
+    }
     else if (ext === '.js') {
       result = yield* readModule(id, isMain)
     }
+    else if (extensions.indexOf(ext) >= 0) {
+      result = yield* readModule(id)
+    }
     else if (ext === '.css') {
       result = yield* readStyle(id, isMain)
     }
@@ -292,7 +556,8 @@ oceanify["import"](${JSON.stringify(id.replace(RE_EXT, ''))})
     if (result) {
       Object.assign(result[1], {
         'Cache-Control': 'max-age=0',
-        'Content-Type': mime.lookup(ext),
+        // the JSON and text files are wrapped as modules
+        'Content-Type': mime.lookup(extensions.indexOf(ext) >= 0 ? '.js' : ext),
         ETag: crypto.createHash('md5').update(result[0]).digest('hex')
       })
     }
@@ -301,14 +566,53 @@ oceanify["import"](${JSON.stringify(id.replace(RE_EXT, ''))})
   }
 
 
+  /**
+   * Concatenate the wrapped modules requested in one combo url.
+   *
+   * @param {string[]} ids
+   */
+  function* readCombo(ids) {
+    const contents = []
+    let lastModified = 0
+
+    for (let i = 0; i < ids.length; i++) {
+      const ext = path.extname(ids[i])
+      if (ext !== '.js' && extensions.indexOf(ext) < 0) return
+
+      const result = yield* readModule(ids[i])
+      if (!result) return
+
+      const mtime = new Date(result[1]['Last-Modified'])
+      if (mtime > lastModified) lastModified = mtime
+      contents.push(result[0])
+    }
+
+    const content = contents.join('\n')
+
+    return [content, {
+      'Cache-Control': 'max-age=0',
+      'Content-Type': 'application/javascript',
+      ETag: crypto.createHash('md5').update(content).digest('hex'),
+      'Last-Modified': lastModified.toJSON()
+    }]
+  }
+
+
   if (opts.express) {
-    return function(req, res, next) {
+    return closable(function(req, res, next) {
       if (res.headerSent) return next()
 
       const id = req.path.slice(1)
       const isMain = 'main' in req.query
 
-      co(readAsset(id, isMain)).then(function(result) {
+      if (opts.hot && id === HOT_PATH) {
+        res.writeHead(200, hotHeaders)
+        return hotConnect(req, res)
+      }
+
+      const combo = parseCombo(req.url)
+
+      co(combo ? readCombo(combo) : readAsset(id, isMain)).then(function(result) {
         if (result) {
           res.statusCode = 200
           res.set(result[1])
@@ -323,15 +627,27 @@ oceanify["import"](${JSON.stringify(id.replace(RE_EXT, ''))})
           next()
         }
       }).catch(next)
-    }
+    })
   }
   else {
-    return function* (next) {
+    return closable(function* (next) {
       if (this.headerSent) return yield next
 
       const id = this.path.slice(1)
       const isMain = 'main' in this.query
-      const result = yield* readAsset(id, isMain)
+
+      if (opts.hot && id === HOT_PATH) {
+        const stream = new PassThrough()
+        this.status = 200
+        this.set(hotHeaders)
+        this.body = stream
+        return hotConnect(this.req, stream)
+      }
+
+      const combo = parseCombo(this.url)
+      const result = combo
+        ? yield* readCombo(combo)
+        : yield* readAsset(id, isMain)
 
       if (result) {
         this.status = 200
@@ -345,12 +661,13 @@ oceanify["import"](${JSON.stringify(id.replace(RE_EXT, ''))})
       else {
         yield next
       }
-    }
+    })
   }
 }
 
 
 oceanify.parseMap = parseMap
+oceanify.graph = graph
 oceanify.compileAll = compileAll.compileAll
 oceanify.compileComponent = compileAll.compileComponent
 oceanify.compileModule = compileAll.compileModule
@@ -0,0 +1,74 @@
+'use strict'
+
+/**
+ * @module
+ */
+
+const path = require('path')
+const crypto = require('crypto')
+
+const fs = require('./fs')
+const mkdirp = require('./mkdirp')
+
+const { version } = require('../package.json')
+
+
+/**
+ * The cache of compileAll. Compiled results are stored as json files named
+ * after the md5 of the sources, the version of oceanify, and the options.
+ */
+class BuildCache {
+  /**
+   * @constructor
+   * @param {Object} opts
+   * @param {string} opts.dest Where to store the cached results
+   */
+  constructor(opts) {
+    const dest = opts.dest
+
+    if (!dest) {
+      throw new Error('Please specify the cache destination folder.')
+    }
+
+    this.dest = dest
+    this.hits = 0
+    this.misses = 0
+  }
+
+  /**
+   * @param {string}   id
+   * @param {Source[]} sources
+   * @param {Object}   options  The options that affect the result
+   *
+   * @returns {string} key
+   */
+  key(id, sources, options) {
+    const md5 = crypto.createHash('md5')
+
+    md5.update(JSON.stringify([version, id, options]))
+    for (let i = 0; i < sources.length; i++) {
+      md5.update(sources[i].filename + '\n' + sources[i].code)
+    }
+
+    return md5.digest('hex')
+  }
+
+  * read(key) {
+    const fpath = path.join(this.dest, key + '.json')
+
+    if (yield fs.exists(fpath)) {
+      this.hits++
+      return JSON.parse(yield fs.readFile(fpath, 'utf8'))
+    }
+
+    this.misses++
+  }
+
+  * write(key, result) {
+    yield mkdirp(this.dest)
+    yield fs.writeFile(path.join(this.dest, key + '.json'), JSON.stringify(result))
+  }
+}
+
+
+module.exports = BuildCache
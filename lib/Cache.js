@@ -47,6 +47,7 @@ const precompiling = []
  * @param {Object}          opts
  * @param {DependenciesMap} opts.dependenciesMap
  * @param {string}          opts.dest            Destination folder
+ * @param {Object}         [opts.env]            The values to replace process.env.X with
  */
 function* precompile(mod, opts) {
   const dependenciesMap = opts.dependenciesMap
@@ -76,6 +77,8 @@ function* precompile(mod, opts) {
     '--source-root', '/'
   ]
 
+  if (opts.env) args.push('--env', JSON.stringify(opts.env))
+
   yield spawn(process.argv[0], args, {
     stdio: 'inherit'
   })
@@ -179,7 +182,8 @@ class Cache {
     precompileQueue = precompileQueue.then(function() {
       return co(precompile(mod, {
         dependenciesMap: opts.dependenciesMap,
-        dest: dest
+        dest: dest,
+        env: opts.env
       }))
     }, function(err) {
       console.error('Failed to cache %s@%s', mod.name, mod.version)
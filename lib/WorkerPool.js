@@ -0,0 +1,101 @@
+'use strict'
+
+/**
+ * @module
+ */
+
+const fork = require('child_process').fork
+
+
+/**
+ * A pool of worker processes. Jobs are queued until one of the workers is
+ * idle. Each worker handles one job at a time, and replies either
+ * `{ result }` or `{ error }`.
+ */
+class WorkerPool {
+  /**
+   * @constructor
+   * @param {string} script The module to fork
+   * @param {number} size   The number of worker processes
+   */
+  constructor(script, size) {
+    this.script = script
+    this.size = size
+    this.workers = []
+    this.idle = []
+    this.queue = []
+  }
+
+  /**
+   * @param {Object} job
+   * @returns {Promise} Resolves with the result of the job
+   */
+  run(job) {
+    const pool = this
+
+    return new Promise(function(resolve, reject) {
+      pool.queue.push({ job, resolve, reject })
+      pool.next()
+    })
+  }
+
+  next() {
+    if (!this.queue.length) return
+
+    if (!this.idle.length && this.workers.length < this.size) {
+      this.spawn()
+    }
+
+    const worker = this.idle.shift()
+    if (!worker) return
+
+    const task = this.queue.shift()
+    worker.task = task
+    worker.send(task.job)
+  }
+
+  spawn() {
+    const pool = this
+    const worker = fork(this.script)
+
+    worker.on('message', function(message) {
+      const task = worker.task
+
+      worker.task = null
+      pool.idle.push(worker)
+
+      if (message.error) task.reject(new Error(message.error))
+      else task.resolve(message.result)
+
+      pool.next()
+    })
+
+    worker.on('exit', function(code) {
+      const task = worker.task
+
+      pool.workers.splice(pool.workers.indexOf(worker), 1)
+      if (pool.idle.indexOf(worker) >= 0) {
+        pool.idle.splice(pool.idle.indexOf(worker), 1)
+      }
+      if (task) task.reject(new Error(`Worker exited with code ${code}`))
+
+      pool.next()
+    })
+
+    this.workers.push(worker)
+    this.idle.push(worker)
+  }
+
+  close() {
+    for (let i = 0; i < this.workers.length; i++) {
+      this.workers[i].removeAllListeners('exit')
+      this.workers[i].kill()
+    }
+
+    this.workers = []
+    this.idle = []
+  }
+}
+
+
+module.exports = WorkerPool
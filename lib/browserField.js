@@ -0,0 +1,94 @@
+'use strict'
+
+/**
+ * The `browser` field of package.json in its object form, which replaces the
+ * files of the package, or the modules required by it, with the ones for
+ * browser. The replacement is `false` if the file or module should be empty.
+ *
+ * ```
+ * "browser": {
+ *   "./lib/node.js": "./lib/browser.js",
+ *   "fs": false
+ * }
+ * ```
+ *
+ * @module
+ */
+
+const path = require('path')
+
+const fs = require('./fs')
+
+
+/**
+ * @param {string} file  The file relative to the root of the package
+ *
+ * @returns {string} The file with `./` prepended and `.js` stripped, such as `./lib/node`
+ */
+function fileOf(file) {
+  return './' + path.posix.normalize(file).replace(/^\.\//, '').replace(/\.js$/, '')
+}
+
+
+/**
+ * Normalize the browser field into the map of replacements. The keys of the
+ * files are normalized with fileOf(), so are the values replacing them.
+ *
+ * @param {string|Object} browser  The browser field of package.json
+ *
+ * @returns {Object|undefined} Something like `{ './lib/node': './lib/browser', fs: false }`
+ */
+function parse(browser) {
+  if (!browser || typeof browser !== 'object') return
+
+  const map = {}
+
+  for (const key in browser) {
+    const value = browser[key]
+    const target = typeof value === 'string' && value.charAt(0) === '.'
+      ? fileOf(value)
+      : value
+
+    map[key.charAt(0) === '.' ? fileOf(key) : key] = target
+  }
+
+  return map
+}
+
+
+/**
+ * Replace the file of the package with the one in the map, if there's any.
+ *
+ * @param {Object} [map]    The map returned by parse()
+ * @param {string}  entry   The file relative to the root of the package, such as `lib/node.js`
+ *
+ * @returns {string|boolean} The replaced entry without `.js`, or false if it should be empty
+ */
+function replace(map, entry) {
+  const file = fileOf(entry)
+  const target = map && map.hasOwnProperty(file) ? map[file] : file
+
+  if (target === false) return false
+
+  // replacing files with modules is not supported
+  return target.charAt(0) === '.' ? target.slice(2) : file.slice(2)
+}
+
+
+/**
+ * @param {string} dir  The root of the package
+ *
+ * @yield {Object|undefined} The map of replacements in package.json, see parse()
+ */
+function* read(dir) {
+  const fpath = path.join(dir, 'package.json')
+
+  if (!(yield fs.exists(fpath))) return
+
+  return parse(JSON.parse(yield fs.readFile(fpath, 'utf8')).browser)
+}
+
+
+exports.parse = parse
+exports.replace = replace
+exports.read = read
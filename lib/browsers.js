@@ -0,0 +1,36 @@
+'use strict'
+
+/**
+ * @module
+ */
+
+const path = require('path')
+const browserslist = require('browserslist')
+
+
+/**
+ * Find the browsers the stylesheets are prefixed for, which are the queries
+ * passed in, or the browserslist section of package.json, or the browserslist
+ * file in root or its ancestors. The defaults of autoprefixer are used if none
+ * is found.
+ *
+ * The config is looked up from root rather than the `from` of postcss, which
+ * is relative to root and might not be found from cwd.
+ *
+ * @param {string}           root
+ * @param {string|string[]} [queries]  Browserslist queries, like "> 1%, ie 9"
+ *
+ * @returns {string|string[]|undefined}
+ */
+function browsers(root, queries) {
+  if (queries) return queries
+
+  const pkg = require(path.join(root, 'package.json'))
+  if (pkg.browserslist) return pkg.browserslist
+
+  const config = browserslist.readConfig(path.join(root, 'package.json'))
+  return config === false ? undefined : config
+}
+
+
+module.exports = browsers
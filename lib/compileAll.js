@@ -7,7 +7,6 @@
 const path = require('path')
 const util = require('util')
 const debug = require('debug')('oceanify')
-const UglifyJS = require('uglify-js')
 const minimatch = require('minimatch')
 const matchRequire = require('match-require')
 
@@ -19,12 +18,27 @@ const parseMap = require('./parseMap')
 const parseSystem = require('./parseSystem')
 const define = require('./define')
 const findComponent = require('./findComponent')
-
-const deheredoc = require('./deheredoc')
+const manifest = require('./manifest')
+const stats = require('./stats')
+const matchAsync = require('./matchAsync')
+const transform = require('./transform')
+const textModule = require('./textModule')
+const styleModule = require('./styleModule')
+const browserField = require('./browserField')
+const resolve = require('./resolve')
+const shims = require('./shims')
+const processEnv = require('./processEnv')
+const minify = require('./minify')
+const BuildCache = require('./BuildCache')
+const WorkerPool = require('./WorkerPool')
 
 const readFile = fs.readFile
 const writeFile = fs.writeFile
 
+// the number of modules and components compiled at the same time, which keeps
+// the files opened while bundling and writing from running out.
+const CONCURRENCY = 8
+
 
 /**
  * Find module by route in the dependencies map.
@@ -67,9 +81,42 @@ function findModule(route, dependenciesMap, requiredMap) {
 }
 
 
+/**
+ * Run the jobs with no more than `limit` of them at the same time.
+ *
+ * @param {Generator[]} jobs
+ * @param {number}      limit
+ */
+function* parallel(jobs, limit) {
+  const queue = jobs.slice()
+
+  function* next() {
+    while (queue.length) yield* queue.shift()
+  }
+
+  const runners = []
+  for (let i = 0; i < Math.min(limit, queue.length); i++) runners.push(next())
+  yield runners
+}
+
+
+/**
+ * @param {string} name The name of the module
+ * @param {string} dir  The directory of the module
+ *
+ * @returns {string} The node_modules directory the module is in
+ */
+function packageBase(name, dir) {
+  return name.split('/').reduce(function(result) {
+    return path.resolve(result, '..')
+  }, dir)
+}
+
+
 /**
  * Bundle a component or module, with its relative dependencies included by
  * default. And if passed opts.dependenciesMap, include all the dependencies.
+ * The sources are collected rather than parsed, which is left to minify().
  *
  * When bundling all the dependencies, _bundle will be called recursively.
  * The call stack might be something like:
@@ -81,7 +128,7 @@ function findModule(route, dependenciesMap, requiredMap) {
  *         path.join(otherRoot, 'components')
  *       ],
  *       dependenciesMap: dependenciesMap,
- *       toplevel: yield* parseLoader(dependenciesMap)
+ *       sources: [yield* readLoader()]
  *     })
  *
  *     // found out that the dependencies of main are ['ez-editor', './lib/foo']
@@ -90,7 +137,7 @@ function findModule(route, dependenciesMap, requiredMap) {
  *       root: root,
  *       paths: path.join(root, 'node_modules'),
  *       dependenciesMap: dependenciesMap,
- *       toplevel: toplevel,   // current toplevel ast,
+ *       sources: sources,   // current sources,
  *       ids: ['main', 'lib/foo'],
  *       routes: ['ez-editor']
  *     })
@@ -100,7 +147,7 @@ function findModule(route, dependenciesMap, requiredMap) {
  *       root: path.join(root, 'node_modules/ez-editor'),
  *       paths: path.join(root, 'node_modules/ez-editor/node_modules'),
  *       dependenciesMap: dependenciesMap,
- *       toplevel: toplevel,
+ *       sources: sources,
  *       ids: ['main', 'lib/foo', 'ez-editor/0.2.4/index'],
  *       routes: ['ez-editor', 'yen']
  *     })
@@ -110,35 +157,85 @@ function findModule(route, dependenciesMap, requiredMap) {
  * @param {string}   opts.paths                 The components load paths
  * @param {string}   opts.root                  The source root
  * @param {object}  [opts.dependenciesMap=null] If passed, will bundle dependencies too
+ * @param {array}   [opts.asyncs]               If passed, the targets of require.async will be stored here
  * @param {array}   [opts.ids=[]]               The ids of the modules that are bundled already
+ * @param {array}   [opts.include]              If passed, only the modules listed will be put into sources
  * @param {object}  [opts.requiredMap=null]     If passed, the actual dependencies map will be stored here
  * @param {array}   [opts.route=[]]             The dependency route if called recursively
- * @param {object}  [opts.toplevel=null]        The toplevel ast that contains all the parsed code
+ * @param {array}   [opts.sources=[]]           The sources collected already
+ * @param {array}   [opts.transforms=[]]        The transforms to apply before wrapping with define()
+ * @param {array}   [opts.textExtensions]       The extensions of the text files to be required as strings
+ * @param {string}  [opts.browsers]             The browsers to prefix the stylesheets for
+ * @param {array}   [opts.styles]               If passed, the required stylesheets will be stored here rather than inlined
+ * @param {object}  [opts.env]                  The values to replace process.env.X with
+ * @param {object}  [opts.shims]                The packages to shim Node built-ins with, normalized already
  *
- * @yield {Object} An ast that contains main, relative modules, And
+ * @yield {Source[]} The sources of main, relative modules, And
  *   if passed opts.dependenciesMap, all the dependencies.
  */
 function* _bundle(main, opts) {
   const paths = [].concat(opts.paths)
-  const { root, dependenciesMap, requiredMap } = opts
+  const { root, dependenciesMap, requiredMap, asyncs, include, styles, env } = opts
   const ids = opts.ids || []
   const route = opts.route || []
-  let toplevel = opts.toplevel
+  const sources = opts.sources || []
+  const transforms = transform.normalize(opts.transforms, root)
+  const extensions = textModule.extensions(opts.textExtensions)
+  const isModule = paths[0].endsWith('node_modules')
+  // the replacements in the browser field of the package bundled
+  const browser = yield* browserField.read(isModule
+    ? path.join(paths[0], parseId(main).name)
+    : root)
+
+  // stylesheets, JSON and text files are required with extensions, hence no
+  // .js appended.
+  function fileOf(entry) {
+    return path.extname(entry) === '.css' || textModule.test(entry, extensions)
+      ? entry
+      : `${entry}.js`
+  }
 
   function* append(id, dependencies, factory) {
     if (ids.indexOf(id) >= 0) return
     ids.unshift(id)
 
     const mod = parseId(id)
-    const fpath = paths[0].endsWith('node_modules')
-      ? yield findComponent(`${mod.name}/${mod.entry}.js`, paths)
-      : yield findComponent(`${mod.entry}.js`, paths)
+    // the files replaced in the browser field are bundled under the ids passed
+    const entry = browser && !factory ? browserField.replace(browser, mod.entry) : mod.entry
+
+    // replaced with false, which is resolved to an empty module by the loader
+    if (entry === false) return
+
+    const fpath = isModule
+      ? yield findComponent(`${mod.name}/${fileOf(entry)}`, paths)
+      : yield findComponent(fileOf(entry), paths)
 
     if (!fpath && !factory) {
       throw new Error(util.format('Cannot find source of %s in %s', id, paths))
     }
 
-    factory = factory || (yield readFile(fpath, 'utf8'))
+    if (!factory && path.extname(fpath) === '.css') {
+      const { css, classes } = yield* styleModule.compile(fpath, {
+        root, paths, browsers: opts.browsers, minify: true
+      })
+
+      if (styles) styles.push({ id, css })
+      factory = styleModule.factory(styles ? '' : css, classes)
+    }
+    else if (!factory) {
+      factory = yield readFile(fpath, 'utf8')
+      if (textModule.test(fpath, extensions)) factory = textModule.factory(fpath, factory)
+    }
+
+    const result = yield* transform.apply(transforms, factory, {
+      id,
+      filename: fpath || path.join(paths[0], fileOf(mod.entry)),
+      isModule,
+      root,
+      env
+    })
+
+    factory = result.code
     dependencies = dependencies || matchRequire.findAll(factory)
 
     for (var i = dependencies.length - 1; i >= 0; i--) {
@@ -147,131 +244,264 @@ function* _bundle(main, opts) {
       }
     }
 
-    try {
-      toplevel = UglifyJS.parse(define(id, dependencies, factory), {
+    if (!include || include.indexOf(id) >= 0) {
+      sources.push({
+        id,
+        code: define(id, dependencies, factory),
         // fpath might be undefined because we allow virtual components.
         filename: fpath ? path.relative(root, fpath) : mod.entry,
-        toplevel: toplevel
+        map: result.map
       })
-    } catch (err) {
-      throw new Error(err.toString())
     }
 
-    yield* satisfy(Object.assign(mod, { id, dependencies }))
+    Object.assign(mod, { id, dependencies })
+    if (asyncs) yield* satisfyAsync(mod, matchAsync.findAll(factory))
+    yield* satisfy(mod)
+  }
+
+  /*
+   * Find the id of the file required by relative path, which is resolved in
+   * the way of Node if it's in a module, and might be replaced in the browser
+   * field, or false if it's replaced with an empty module.
+   */
+  function* relativeId(mod, dep) {
+    const id = path.join(path.dirname(mod.id), dep)
+    let entry = parseId(id).entry
+
+    if (isModule) {
+      const file = yield* resolve.file(path.join(paths[0], mod.name), entry)
+      if (file) entry = file.replace(/\.js$/, '')
+    }
+
+    if (browser) entry = browserField.replace(browser, entry)
+    return entry && [mod.name, mod.version, entry].join('/')
   }
 
   function* satisfy(mod) {
     for (var i = 0, len = mod.dependencies.length; i < len; i++) {
       var dep = mod.dependencies[i]
 
+      // the modules replaced in the browser field, which are resolved by the
+      // loader in the same way.
+      if (browser && dep.charAt(0) !== '.' && browser.hasOwnProperty(dep)) {
+        if (browser[dep] === false) continue
+        dep = browser[dep]
+        if (dep.charAt(0) === '.') {
+          yield* append([mod.name, mod.version, dep.slice(2)].join('/'))
+          continue
+        }
+      }
+
       if (dep.charAt(0) === '.') {
-        yield* append(path.join(path.dirname(mod.id), dep))
+        const id = yield* relativeId(mod, dep)
+        if (id) yield* append(id)
       }
-      else if (yield findComponent(dep + '.js', paths)) {
+      else if (!isModule && (yield findComponent(fileOf(dep), paths))) {
         yield* append([mod.name, mod.version, dep].join('/'))
       }
       else if (dependenciesMap) {
-        route.push(dep)
-        yield* appendModule(dep)
+        let { name, entry } = resolve.split(dep)
+        // the Node built-ins shimmed, unless there's a module named after it.
+        if (opts.shims && opts.shims.hasOwnProperty(name) &&
+            !findModule(route.concat(name), dependenciesMap)) {
+          if (opts.shims[name] === false) continue
+          name = opts.shims[name]
+        }
+        route.push(name)
+        yield* appendModule(name, entry)
         route.pop()
       }
     }
   }
 
-  function* appendModule(name) {
+  /*
+   * Resolve the targets of require.async in the same way as satisfy(), but
+   * leave the bundling to the caller.
+   */
+  function* satisfyAsync(mod, deps) {
+    for (let i = 0; i < deps.length; i++) {
+      const dep = deps[i]
+
+      if (dep.charAt(0) === '.') {
+        const id = yield* relativeId(mod, dep)
+        if (id) asyncs.push({ id, paths, route: route.slice() })
+      }
+      else if (!isModule && (yield findComponent(fileOf(dep), paths))) {
+        asyncs.push({ id: [mod.name, mod.version, dep].join('/'), paths, route: route.slice() })
+      }
+      else if (dependenciesMap) {
+        const { name, entry } = resolve.split(dep)
+        const data = findModule(route.concat(name), dependenciesMap, requiredMap)
+
+        if (!data) {
+          throw new Error(`Cannot find module ${dep}`)
+        }
+
+        asyncs.push({
+          id: yield* moduleId(name, data, entry),
+          paths: packageBase(name, data.dir),
+          route: route.concat(name)
+        })
+      }
+    }
+  }
+
+  /*
+   * The id of the module required, which is the main of it, or the subpath
+   * resolved in the way of Node, such as `lodash/4.17.4/map`.
+   */
+  function* moduleId(name, data, entry) {
+    const file = entry ? yield* resolve.file(data.dir, entry) : data.main
+
+    if (!file) {
+      throw new Error(`Cannot find module ${name}/${entry}`)
+    }
+
+    return path.join(name, data.version, file.replace(/\.js$/, ''))
+  }
+
+  function* appendModule(name, entry) {
     var data = findModule(route, dependenciesMap, requiredMap)
 
     if (!data) {
       throw new Error(`Cannot find module ${name}`)
     }
 
-    var id = path.join(name, data.version, data.main.replace(/\.js$/, ''))
-    var pkgBase = name.split('/').reduce(function(result) {
-      return path.resolve(result, '..')
-    }, data.dir)
+    var id = yield* moduleId(name, data, entry)
 
     yield* _bundle(id, {
       root: root,
-      paths: pkgBase,
+      paths: packageBase(name, data.dir),
       dependenciesMap: dependenciesMap,
       requiredMap: requiredMap,
+      asyncs: asyncs,
+      include: include,
       route: route,
-      toplevel: toplevel,
-      ids: ids
+      sources: sources,
+      ids: ids,
+      transforms: transforms,
+      textExtensions: opts.textExtensions,
+      browsers: opts.browsers,
+      env: env,
+      shims: opts.shims
     })
   }
 
   yield* append(main, opts.dependencies, opts.factory)
 
-  return toplevel
+  return sources
 }
 
 
 /**
- * @typedef  {ProcessResult}
- * @type     {Object}
- * @property {string} js  Compiled javascript
- * @property {string} map Source map of the compiled javascript
+ * Minify the sources, in one of the workers if opts.pool is passed, and reuse
+ * the result in opts.cache if the sources and the options are unchanged.
  *
- * @returns  {ProcessResult}
- */
-
-/**
- * Process ast into compiled js and source map
+ * @param {string}       id
+ * @param {Source[]}     sources
+ * @param {Object}       opts
+ * @param {string}      [opts.sourceRoot]
+ * @param {boolean}     [opts.stats]
+ * @param {string}      [opts.targets]
+ * @param {BuildCache}  [opts.cache]
+ * @param {WorkerPool}  [opts.pool]
  *
- * @param    {string}  id
- * @param    {uAST}    ast
- * @param    {string}  sourceRoot
+ * @yield {ProcessResult}
  */
-function _process(id, ast, sourceRoot) {
-  /* eslint-disable camelcase */
-  const compressor = new UglifyJS.Compressor()
+function* _process(id, sources, { sourceRoot, stats: withStats, targets, cache, pool }) {
+  const minifyOpts = { sourceRoot, stats: withStats, targets }
+  const key = cache && cache.key(id, sources, minifyOpts)
+  let result = cache && (yield* cache.read(key))
+
+  if (result) {
+    debug('cache hit %s', id)
+    return result
+  }
+
+  result = pool
+    ? yield pool.run({ id, sources, opts: minifyOpts })
+    : minify(id, sources, minifyOpts)
 
-  deheredoc(ast)
-  ast.figure_out_scope()
+  if (cache) yield* cache.write(key, result)
 
-  const compressed = ast.transform(compressor)
+  return result
+}
 
-  compressed.figure_out_scope()
-  compressed.compute_char_frequency()
-  compressed.mangle_names()
 
-  const sourceMap = new UglifyJS.SourceMap({
-    file: id + '.js',
-    root: sourceRoot
-  })
-  const stream = new UglifyJS.OutputStream({
-    ascii_only: true,
-    source_map: sourceMap
-  })
+/**
+ * @param {string}    id
+ * @param {Object}    opts
+ * @param {string}    opts.js          minified javascript
+ * @param {string}    opts.map         correspondent source map
+ * @param {string}    opts.dest        The folder to store js and map
+ * @param {boolean}  [opts.hash]       Fingerprint the file name and record it in manifest.json
+ * @param {Object}   [opts.stats]      Record the sizes of the modules in stats.json
+ * @param {string[]} [opts.extensions] The JSON and text modules keep their extensions, see textModule.extensions()
+ */
+function* _compileFile(id, { dest, js, map, hash, stats: bundleStats, extensions }) {
+  // JSON and text modules are requested by the loader with their extensions
+  const ext = extensions && textModule.test(id, extensions) ? path.extname(id) : '.js'
+  const base = ext === '.js' ? id : id.slice(0, -ext.length)
+  const fileId = hash ? `${base}-${manifest.fingerprint(js)}` : base
+  const assetPath = path.join(dest, fileId + ext)
+
+  yield mkdirp(path.dirname(assetPath))
+  yield [
+    writeFile(assetPath, js + '\n//# sourceMappingURL=./' + path.basename(fileId) + ext + '.map'),
+    writeFile(assetPath + '.map', map)
+  ]
 
-  compressed.print(stream)
+  if (hash) {
+    yield* manifest.update(dest, { [base + ext]: fileId + ext })
+  }
 
-  return {
-    js: stream.toString(),
-    map: sourceMap.toString()
+  if (bundleStats) {
+    yield* stats.update(dest, { [id]: bundleStats })
   }
-  /* eslint-enable camelcase */
+
+  debug('compiled %s', fileId)
 }
 
 
 /**
- * @param {string} id
- * @param {Object} opts
- * @param {string} opts.js   minified javascript
- * @param {string} opts.map  correspondent source map
- * @param {string} opts.dest The folder to store js and map
+ * Write the stylesheets extracted from the bundle next to it.
+ *
+ * @param {string}   id
+ * @param {Object}   opts
+ * @param {string}   opts.css
+ * @param {string}   opts.dest
+ * @param {boolean} [opts.hash]  Fingerprint the file name and record it in manifest.json
  */
-function* _compileFile(id, { dest, js, map }) {
-  const assetPath = path.join(dest, id + '.js')
+function* _compileStyle(id, { dest, css, hash }) {
+  const fileId = hash ? `${id}-${manifest.fingerprint(css)}` : id
+  const assetPath = path.join(dest, fileId + '.css')
 
   yield mkdirp(path.dirname(assetPath))
-  yield [
-    writeFile(assetPath, js + '\n//# sourceMappingURL=./' + path.basename(id) + '.js.map'),
-    writeFile(assetPath + '.map', map)
-  ]
+  yield writeFile(assetPath, css)
+
+  if (hash) {
+    yield* manifest.update(dest, { [`${id}.css`]: `${fileId}.css` })
+  }
+
+  debug('compiled %s.css', fileId)
+}
+
+
+/**
+ * Pick the javascript entries in manifest.json, JSON and text modules
+ * included, for the loader to request the fingerprinted files.
+ *
+ * @param {string} dest
+ *
+ * @returns {Object}
+ */
+function loaderManifest(dest) {
+  const entries = manifest.read(dest)
 
-  debug('compiled %s', id)
+  return Object.keys(entries).reduce(function(result, id) {
+    if (!id.endsWith('.css')) result[id] = entries[id]
+    return result
+  }, {})
 }
 
 
@@ -288,12 +518,29 @@ function* _compileFile(id, { dest, js, map }) {
  * @param {string|string[]} [opts.paths=components]         The base directory to find the sources
  * @param {string}          [opts.root=process.cwd()]       Current working directory
  * @param {string}          [opts.sourceRoot]               The source root
+ * @param {boolean}         [opts.hash=false]               Fingerprint file names and generate manifest.json
+ * @param {boolean|number}  [opts.commonChunks=false]       Extract the modules shared by N entries, 2 if true
+ * @param {boolean|string}  [opts.cache=false]              Reuse the results in node_modules/.cache/oceanify, or the directory passed
+ * @param {number}          [opts.workers=0]                The number of worker processes to compile in
+ * @param {boolean}         [opts.stats=false]              Record the sizes of the modules in stats.json
+ * @param {string|string[]} [opts.targets]                  Transpile ES2015+ syntax for the browsers queried
+ * @param {Array}           [opts.transforms]               Transform the sources before wrapping them with define()
+ * @param {string[]}        [opts.textExtensions]           The text files to be required as strings, defaults to .html and .tpl
+ * @param {string|string[]} [opts.browsers]                 The browsers to prefix the stylesheets for
+ * @param {string}          [opts.css=inline]               Inline the stylesheets required by main components, or extract them
+ * @param {Object}          [opts.env]                      The values to replace process.env.X with, NODE_ENV defaults to production
+ * @param {Object}          [opts.shims]                    The packages to shim Node built-ins with, or false to leave them empty
+ * @param {boolean}         [opts.strict=false]             Throw if the version of a module doesn't satisfy the range required
+ * @param {boolean}         [opts.dedupe=false]             Collapse the compatible versions of modules into the highest one
+ *
+ * @yield {Object} The cache hits and misses if opts.cache is enabled
  */
 function* compileAll(opts = {}) {
   const root = opts.root || process.cwd()
   const dest = path.resolve(root, opts.dest || 'public')
   const match = opts.match
   const sourceRoot = opts.sourceRoot
+  const hash = opts.hash
   const paths = [].concat(opts.paths || 'components').map(function(dir) {
     return path.resolve(root, dir)
   })
@@ -302,34 +549,108 @@ function* compileAll(opts = {}) {
     throw new Error('Please specify main modules with opts.match')
   }
 
-  const dependenciesMap = yield* parseMap({ root, paths, dest })
-  const doneModules = {}
+  // the javascript, JSON and text modules are compiled all over again, so are
+  // the stylesheets extracted along.
+  if (hash) {
+    manifest.prune(dest, function(id, entries) {
+      return !id.endsWith('.css') || (opts.css === 'extract' &&
+        entries.hasOwnProperty(id.replace(/\.css$/, '.js')))
+    })
+  }
+
+  const cache = opts.cache
+    ? new BuildCache({
+      dest: path.resolve(root, opts.cache === true ? 'node_modules/.cache/oceanify' : opts.cache)
+    })
+    : null
+  const pool = opts.workers > 0
+    ? new WorkerPool(path.join(__dirname, 'minifyWorker.js'), opts.workers)
+    : null
+
+  try {
+    yield* _compileAll({
+      root,
+      dest,
+      match,
+      paths,
+      sourceRoot,
+      hash,
+      cache,
+      pool,
+      stats: opts.stats,
+      targets: opts.targets,
+      transforms: transform.normalize(opts.transforms, root),
+      textExtensions: opts.textExtensions,
+      browsers: opts.browsers,
+      css: opts.css,
+      env: processEnv.normalize(opts.env, 'production'),
+      shims: shims.normalize(opts.shims),
+      strict: opts.strict,
+      dedupe: opts.dedupe,
+      commonChunks: opts.commonChunks,
+      loaderConfig: opts.loaderConfig
+    })
+  } finally {
+    if (pool) pool.close()
+  }
+
+  if (cache) {
+    debug('cache hits %d, misses %d', cache.hits, cache.misses)
+    return { hits: cache.hits, misses: cache.misses }
+  }
+}
+
 
-  function* walk(deps) {
+function* _compileAll(opts) {
+  const { root, dest, match, paths, sourceRoot, hash, cache, pool, stats: withStats, targets, transforms, textExtensions, browsers, env } = opts
+  const dependenciesMap = yield* parseMap({
+    root, paths, dest, shims: opts.shims, strict: opts.strict, dedupe: opts.dedupe
+  })
+  const doneIds = {}
+  const walked = []
+  const modules = []
+
+  function walk(deps) {
     for (const name in deps) {
       const mod = deps[name]
-      const doneModule = doneModules[name] || (doneModules[name] = {})
       const main = (mod.main || 'index').replace(/\.js$/, '')
-      const pkgBase = name.split('/').reduce(function(result) {
-        return path.resolve(result, '..')
-      }, mod.dir)
 
-      if (doneModule[mod.version]) continue
+      if (walked.indexOf(mod) >= 0) continue
+      walked.push(mod)
 
-      yield* compileModule(path.join(name, mod.version, main), {
-        dest: dest,
-        paths: pkgBase,
-        root: root,
-        sourceRoot: sourceRoot
-      })
+      // the subpaths required, such as `yen/events`, are requested by the
+      // loader separately, hence compiled along with the main.
+      for (const entry of [main].concat(mod.entries || [])) {
+        const id = path.join(name, mod.version, entry)
 
-      doneModule[mod.version] = true
+        if (doneIds[id]) continue
+        doneIds[id] = true
 
-      yield* walk(mod.dependencies)
+        modules.push(compileModule(id, {
+          dest,
+          paths: packageBase(name, mod.dir),
+          root,
+          sourceRoot,
+          hash,
+          cache,
+          pool,
+          stats: withStats,
+          targets,
+          transforms,
+          textExtensions,
+          browsers,
+          env
+        }))
+      }
+
+      walk(mod.dependencies)
     }
   }
 
-  yield* walk(dependenciesMap)
+  walk(dependenciesMap)
+
+  const mains = []
+  const components = []
 
   for (let i = 0; i < paths.length; i++) {
     const currentPath = paths[i]
@@ -344,49 +665,221 @@ function* compileAll(opts = {}) {
       const entry = path.relative(currentPath, entries[j]).replace(/\.js$/, '')
 
       if (minimatch(entry + '.js', match)) {
-        yield* compileComponent(entry, {
-          root,
-          paths,
-          dest,
-          dependenciesMap,
-          includeModules: false,
-          sourceRoot,
-          loaderConfig: opts.loaderConfig
-        })
+        mains.push(entry)
       }
       else {
-        yield* compileComponentPlain(entry, {
+        components.push(compileComponentPlain(entry, {
           root,
           paths,
           dest,
-          sourceRoot
-        })
+          sourceRoot,
+          hash,
+          cache,
+          pool,
+          stats: withStats,
+          targets,
+          transforms,
+          textExtensions,
+          browsers,
+          css: opts.css,
+          env,
+          shims: opts.shims
+        }))
       }
     }
   }
+
+  // The modules and components are independent of each other, hence can be
+  // compiled at the same time, as many as the workers can take.
+  const limit = pool ? Math.max(pool.size, CONCURRENCY) : CONCURRENCY
+  yield* parallel(modules.concat(components), limit)
+
+  const chunks = opts.commonChunks
+    ? yield* _compileCommon(mains, {
+      root,
+      paths,
+      dest,
+      dependenciesMap,
+      sourceRoot,
+      hash,
+      cache,
+      pool,
+      stats: withStats,
+      targets,
+      transforms,
+      textExtensions,
+      browsers,
+      env,
+      shims: opts.shims,
+      minEntries: opts.commonChunks === true ? 2 : opts.commonChunks
+    })
+    : null
+
+  // compile the main components at last for the fingerprints of others to be
+  // available in the loader config.
+  yield* parallel(mains.map(function(entry) {
+    return compileComponent(entry, {
+      root,
+      paths,
+      dest,
+      dependenciesMap,
+      includeModules: false,
+      sourceRoot,
+      hash,
+      cache,
+      pool,
+      stats: withStats,
+      targets,
+      transforms,
+      textExtensions,
+      browsers,
+      css: opts.css,
+      env,
+      shims: opts.shims,
+      chunks,
+      loaderConfig: opts.loaderConfig
+    })
+  }), limit)
 }
 
 
 /**
- * @yield {Object} Parsed ast of loader.js
+ * Find the modules required by at least `opts.minEntries` of the main
+ * components, and bundle them into `<name>/<version>/vendor`.
+ *
+ * @param {string[]}         mains                  The main components
+ * @param {Object}           opts
+ * @param {string}           opts.root
+ * @param {string[]}         opts.paths
+ * @param {DependenciesMap}  opts.dependenciesMap
+ * @param {number}           opts.minEntries
+ * @param {string}          [opts.dest]
+ * @param {string}          [opts.sourceRoot]
+ * @param {boolean}         [opts.hash]
+ * @param {boolean}         [opts.stats]
+ * @param {string}          [opts.targets]
+ * @param {Array}           [opts.transforms]
+ * @param {string[]}        [opts.textExtensions]
+ * @param {string}          [opts.browsers]
+ * @param {Object}          [opts.env]
+ * @param {Object}          [opts.shims]
+ * @param {BuildCache}      [opts.cache]
+ * @param {WorkerPool}      [opts.pool]
+ *
+ * @yield {Object} The map of the extracted module ids to the id of the vendor bundle
  */
-function* parseLoader() {
-  const loader = yield readFile(path.join(__dirname, '../loader.js'), 'utf8')
+function* _compileCommon(mains, opts) {
+  const { root, paths, dependenciesMap, minEntries } = opts
+  const pkg = require(path.join(root, 'package.json'))
+  const mainIds = mains.map(function(entry) {
+    return [pkg.name, pkg.version, entry].join('/')
+  })
+  const counts = {}
+
+  for (let i = 0; i < mainIds.length; i++) {
+    const ids = []
+
+    // bundle nothing but walk through the dependencies to collect the ids.
+    yield* _bundle(mainIds[i], {
+      root,
+      paths,
+      dependenciesMap,
+      include: [],
+      ids,
+      transforms: opts.transforms,
+      textExtensions: opts.textExtensions,
+      browsers: opts.browsers,
+      env: opts.env,
+      shims: opts.shims
+    })
 
-  return UglifyJS.parse(loader, {
-    filename: 'loader.js'
+    for (let j = 0; j < ids.length; j++) {
+      counts[ids[j]] = (counts[ids[j]] || 0) + 1
+    }
+  }
+
+  const common = Object.keys(counts).filter(function(id) {
+    return counts[id] >= minEntries && mainIds.indexOf(id) < 0
   })
+  const chunks = {}
+
+  if (!common.length) return chunks
+
+  // the component named vendor would be overwritten by the vendor bundle.
+  if (yield findComponent('vendor.js', paths)) {
+    throw new Error(util.format('Cannot extract the common modules into %s/%s/vendor, which is a component already',
+      pkg.name, pkg.version))
+  }
+
+  const id = [pkg.name, pkg.version, 'vendor'].join('/')
+  const ids = []
+  const sources = []
+
+  for (let i = 0; i < mainIds.length; i++) {
+    yield* _bundle(mainIds[i], {
+      root,
+      paths,
+      dependenciesMap,
+      include: common,
+      sources,
+      ids,
+      transforms: opts.transforms,
+      textExtensions: opts.textExtensions,
+      browsers: opts.browsers,
+      env: opts.env,
+      shims: opts.shims
+    })
+  }
+
+  const result = yield* _process(id, sources, opts)
+
+  if (opts.dest) {
+    yield* _compileFile(id, {
+      dest: opts.dest,
+      js: result.js,
+      map: result.map,
+      hash: opts.hash,
+      stats: result.stats
+    })
+  }
+
+  for (let i = 0; i < common.length; i++) chunks[common[i]] = id
+
+  return chunks
+}
+
+
+/**
+ * @yield {Source} The source of loader.js
+ */
+function* readLoader() {
+  return {
+    id: 'loader',
+    code: yield readFile(path.join(__dirname, '../loader.js'), 'utf8'),
+    filename: 'loader.js'
+  }
 }
 
 
 /**
  * compile the component alone.
  *
- * @param {string}           entry             Component entry
+ * @param {string}           entry                Component entry
  * @param {Object}          [opts]
- * @param {string}          [opts.root]     root directory
- * @param {string|string[]} [opts.paths]    components load paths
+ * @param {string}          [opts.root]           root directory
+ * @param {string|string[]} [opts.paths]          components load paths
  * @param {string}          [opts.dest]
+ * @param {boolean}         [opts.hash]           fingerprint the file name
+ * @param {boolean}         [opts.stats]          record the sizes of the modules
+ * @param {string}          [opts.targets]        transpile ES2015+ syntax for the browsers
+ * @param {Array}           [opts.transforms]     transform the source before wrapping it with define()
+ * @param {string[]}        [opts.textExtensions] bundle the text files required with these extensions
+ * @param {string}          [opts.browsers]       prefix the stylesheets required for the browsers
+ * @param {string}          [opts.css]            extract the stylesheets required into a .css file if 'extract'
+ * @param {Object}          [opts.env]            replace process.env.X with the values
+ * @param {Object}          [opts.shims]          shim Node built-ins with the packages, normalized already
+ * @param {BuildCache}      [opts.cache]          reuse the compiled result
+ * @param {WorkerPool}      [opts.pool]           compile in the worker processes
  *
  * @yield {ProcessResult}
  */
@@ -403,33 +896,65 @@ function* compileComponentPlain(entry, opts) {
   })
 
   const fpath = yield findComponent(entry + '.js', paths)
-  const content = yield readFile(fpath, 'utf8')
-  const dependencies = matchRequire.findAll(content)
   const id = [pkg.name, pkg.version, entry].join('/')
-  let toplevel
+  const { code, map } = yield* transform.apply(
+    transform.normalize(opts.transforms, root),
+    yield readFile(fpath, 'utf8'),
+    { id, filename: fpath, isModule: false, root, env: opts.env }
+  )
+  const dependencies = matchRequire.findAll(code)
+  const sources = [{
+    id,
+    code: define(id, dependencies, code),
+    filename: path.relative(root, fpath),
+    map
+  }]
+  const extensions = textModule.extensions(opts.textExtensions)
+  const styles = opts.css === 'extract' ? [] : null
+  const bundleOpts = {
+    root,
+    paths,
+    sources,
+    ids: [id],
+    styles,
+    transforms: opts.transforms,
+    textExtensions: opts.textExtensions,
+    browsers: opts.browsers,
+    env: opts.env,
+    shims: opts.shims
+  }
 
-  try {
-    toplevel = UglifyJS.parse(define(id, dependencies, content), {
-      filename: path.relative(root, fpath)
-    })
-  } catch (e) {
-    // UglifyJS uses a custom Error class which by default will not reveal
-    // syntax error details in message property. We need to call the customized
-    // toString method instead.
-    throw new Error(e.toString())
+  // the JS components required are compiled separately, whereas the
+  // stylesheets, JSON and text files are not, hence bundled in.
+  for (const dep of dependencies) {
+    if (path.extname(dep) !== '.css' && !textModule.test(dep, extensions)) continue
+
+    if (dep.charAt(0) === '.') {
+      yield* _bundle(path.join(path.dirname(id), dep), bundleOpts)
+    }
+    else if (yield findComponent(dep, paths)) {
+      yield* _bundle([pkg.name, pkg.version, dep].join('/'), bundleOpts)
+    }
   }
 
-  const result = _process(id, toplevel, opts.sourceRoot)
+  const result = yield* _process(id, sources, opts)
   const dest = opts.dest && path.resolve(root, opts.dest)
 
   if (opts.dest) {
     yield* _compileFile(id, {
       dest,
       js: result.js,
-      map: result.map
+      map: result.map,
+      hash: opts.hash,
+      stats: result.stats
     })
   }
 
+  if (styles && styles.length) {
+    result.css = styles.map(style => style.css).join('\n')
+    if (dest) yield* _compileStyle(id, { dest, css: result.css, hash: opts.hash })
+  }
+
   return result
 }
 
@@ -438,13 +963,25 @@ function* compileComponentPlain(entry, opts) {
  * @param {string}           entry
  * @param {Object}           opts
  * @param {DependenciesMap}  opts.dependenciesMap       Notice the bundling behavior is controlled by opts.includeModules
+ * @param {BuildCache}      [opts.cache]                Reuse the compiled result
+ * @param {Object}          [opts.chunks]               The modules provided by other bundles, such as vendor
+ * @param {string}          [opts.css=inline]           Inline the required stylesheets, or extract them into <entry>.css
  * @param {Array}           [opts.dependencies]         Dependencies of the entry module
  * @param {string}          [opts.dest]
  * @param {string}          [opts.factory]              Factory code of the entry module
+ * @param {boolean}         [opts.hash]                 Fingerprint the file name and request fingerprinted dependencies
  * @param {boolean}         [opts.includeModules]       Whethor to include node_modules or not
  * @param {string|string[]} [opts.paths=components]
+ * @param {WorkerPool}      [opts.pool]                 Compile in the worker processes
  * @param {string}          [opts.root=process.cwd()]
  * @param {string}          [opts.sourceRoot]
+ * @param {boolean}         [opts.stats]                Record the sizes of the modules in stats.json
+ * @param {string|string[]} [opts.targets]              Transpile ES2015+ syntax for the browsers queried
+ * @param {Array}           [opts.transforms]           Transform the sources before wrapping them with define()
+ * @param {string[]}        [opts.textExtensions]       The text files to be required as strings
+ * @param {string|string[]} [opts.browsers]             The browsers to prefix the stylesheets for
+ * @param {Object}          [opts.env]                  The values to replace process.env.X with, NODE_ENV defaults to production
+ * @param {Object}          [opts.shims]                The packages to shim Node built-ins with
  *
  * @yield {ProcessResult}
  */
@@ -454,6 +991,8 @@ function* compileComponent(entry, opts) {
     paths: 'components',
     includeModules: true
   }, opts)
+  opts.env = processEnv.normalize(opts.env, 'production')
+  opts.shims = shims.normalize(opts.shims)
 
   const { root, dependenciesMap, includeModules } = opts
   const pkg = require(path.join(root, 'package.json'))
@@ -472,60 +1011,188 @@ function* compileComponent(entry, opts) {
     factory = yield readFile(fpath, 'utf8')
   }
 
-  let toplevel = yield* parseLoader()
-  const dependencies = opts.dependencies || matchRequire.findAll(factory)
+  const sources = [yield* readLoader()]
   const requiredMap = {}
+  const ids = Object.keys(opts.chunks || {})
+  const asyncs = []
+  const styles = opts.css === 'extract' ? [] : null
   const bundleOpts = {
     root,
     paths,
-    dependencies,
+    dependencies: opts.dependencies,
     factory,
-    toplevel
+    sources,
+    ids,
+    asyncs,
+    styles,
+    transforms: opts.transforms,
+    textExtensions: opts.textExtensions,
+    browsers: opts.browsers,
+    env: opts.env,
+    shims: opts.shims
   }
   const id = [pkg.name, pkg.version, entry].join('/')
+  const dest = opts.dest && path.resolve(root, opts.dest)
 
   if (includeModules) {
     Object.assign(bundleOpts, { dependenciesMap, requiredMap })
   }
 
-  toplevel = yield* _bundle(id, bundleOpts)
+  yield* _bundle(id, bundleOpts)
+
+  const asyncChunks = yield* _compileChunks(id, asyncs.map(function(target) {
+    return Object.assign(target, { exclude: ids })
+  }), {
+    root,
+    dest,
+    dependenciesMap: includeModules ? dependenciesMap : null,
+    requiredMap,
+    sourceRoot: opts.sourceRoot,
+    hash: opts.hash,
+    stats: opts.stats,
+    targets: opts.targets,
+    transforms: opts.transforms,
+    textExtensions: opts.textExtensions,
+    browsers: opts.browsers,
+    env: opts.env,
+    shims: opts.shims,
+    cache: opts.cache,
+    pool: opts.pool
+  })
+  const chunks = Object.assign({}, opts.chunks, asyncChunks)
 
   // If not all modules are included, use the full dependencies map instead of
   // the required map generated white bundling.
   const map = includeModules ? requiredMap : dependenciesMap
-  const loaderConfig = Object.assign(opts.loaderConfig || {},
-    parseSystem(pkg, map))
+  const loaderConfig = Object.assign({}, opts.loaderConfig, parseSystem(pkg, map), {
+    shims: shims.pick(opts.shims, map),
+    // for the loader to request JSON and text modules without .js appended
+    extensions: textModule.extensions(opts.textExtensions)
+  })
+
+  if (Object.keys(chunks).length) loaderConfig.chunks = chunks
+  if (opts.hash && dest) loaderConfig.manifest = loaderManifest(dest)
 
-  toplevel = UglifyJS.parse(`
+  sources.push({
+    code: `
 oceanify.config(${JSON.stringify(loaderConfig)})
 oceanify.import(${JSON.stringify(id.replace(/\.js$/, ''))})
-`, {
-    toplevel: toplevel
+`
   })
 
-  const dest = opts.dest && path.resolve(root, opts.dest)
-  const result = _process(id, toplevel, opts.sourceRoot)
+  const result = yield* _process(id, sources, opts)
 
   if (dest) {
     yield* _compileFile(id, {
       dest,
       js: result.js,
-      map: result.map
+      map: result.map,
+      hash: opts.hash,
+      stats: result.stats
     })
   }
 
+  if (styles && styles.length) {
+    result.css = styles.map(style => style.css).join('\n')
+    if (dest) yield* _compileStyle(id, { dest, css: result.css, hash: opts.hash })
+  }
+
   return result
 }
 
 
 /**
- * @param {string}  id
- * @param {Object}  opts
- * @param {Object} [opts.dependenciesMap=null]  If passed, will include all the dependencies
- * @param {string} [opts.dest]                  If passed, will write .js and .map files
- * @param {string} [opts.paths=node_modules]    Actually only the first load path will be used
- * @param {string} [opts.root=process.cwd()]
- * @param {string} [opts.sourceRoot]
+ * Bundle the targets of require.async into chunks, leaving out the modules
+ * that are in the parent bundle already. The targets found while bundling the
+ * chunks are split into chunks too.
+ *
+ * @param {string}           id                     The id of the main component
+ * @param {Object[]}         targets                The targets collected by _bundle
+ * @param {Object}           opts
+ * @param {string}           opts.root
+ * @param {string}          [opts.dest]             If passed, will write the chunks
+ * @param {DependenciesMap} [opts.dependenciesMap]  If passed, will bundle dependencies too
+ * @param {Object}          [opts.requiredMap]
+ * @param {string}          [opts.sourceRoot]
+ * @param {boolean}         [opts.hash]
+ * @param {boolean}         [opts.stats]
+ * @param {string}          [opts.targets]
+ * @param {Array}           [opts.transforms]
+ * @param {string[]}        [opts.textExtensions]
+ * @param {string}          [opts.browsers]
+ * @param {Object}          [opts.env]
+ * @param {Object}          [opts.shims]
+ * @param {BuildCache}      [opts.cache]
+ * @param {WorkerPool}      [opts.pool]
+ *
+ * @yield {Object} The map of target ids to the ids of the chunks
+ */
+function* _compileChunks(id, targets, opts) {
+  const { root, dest, dependenciesMap, requiredMap } = opts
+  const chunks = {}
+
+  for (let i = 0; i < targets.length; i++) {
+    const target = targets[i]
+
+    if (target.id in chunks || target.exclude.indexOf(target.id) >= 0) continue
+
+    const chunkId = `${id}.async-${Object.keys(chunks).length + 1}`
+    const ids = target.exclude.slice()
+    const asyncs = []
+    const sources = yield* _bundle(target.id, {
+      root,
+      paths: target.paths,
+      route: target.route,
+      dependenciesMap,
+      requiredMap,
+      ids,
+      asyncs,
+      transforms: opts.transforms,
+      textExtensions: opts.textExtensions,
+      browsers: opts.browsers,
+      env: opts.env,
+      shims: opts.shims
+    })
+    const result = yield* _process(chunkId, sources, opts)
+
+    if (dest) {
+      yield* _compileFile(chunkId, {
+        dest,
+        js: result.js,
+        map: result.map,
+        hash: opts.hash,
+        stats: result.stats
+      })
+    }
+
+    chunks[target.id] = chunkId
+    for (let j = 0; j < asyncs.length; j++) {
+      targets.push(Object.assign(asyncs[j], { exclude: ids }))
+    }
+  }
+
+  return chunks
+}
+
+
+/**
+ * @param {string}       id
+ * @param {Object}       opts
+ * @param {Object}      [opts.dependenciesMap=null]  If passed, will include all the dependencies
+ * @param {string}      [opts.dest]                  If passed, will write .js and .map files
+ * @param {boolean}     [opts.hash]                  Fingerprint the file name
+ * @param {BuildCache}  [opts.cache]                 Reuse the compiled result
+ * @param {string}      [opts.paths=node_modules]    Actually only the first load path will be used
+ * @param {WorkerPool}  [opts.pool]                  Compile in the worker processes
+ * @param {string}      [opts.root=process.cwd()]
+ * @param {string}      [opts.sourceRoot]
+ * @param {boolean}     [opts.stats]                 Record the sizes of the modules in stats.json
+ * @param {string}      [opts.targets]               Transpile ES2015+ syntax for the browsers queried
+ * @param {Array}       [opts.transforms]            Transform the sources before wrapping them with define()
+ * @param {string[]}    [opts.textExtensions]        The text files to be required as strings
+ * @param {string}      [opts.browsers]              The browsers to prefix the stylesheets for
+ * @param {Object}      [opts.env]                   The values to replace process.env.X with, NODE_ENV defaults to production
+ * @param {Object}      [opts.shims]                 The packages to shim Node built-ins with
  *
  * @yield {ProcessResult}
  */
@@ -537,20 +1204,28 @@ function* compileModule(id, opts) {
   const { root, paths } = opts
   const currentPath = path.resolve(root, Array.isArray(paths) ? paths[0] : paths)
 
-  const toplevel = yield* _bundle(id, {
+  const sources = yield* _bundle(id, {
     root: root,
     paths: currentPath,
-    dependenciesMap: opts.dependenciesMap
+    dependenciesMap: opts.dependenciesMap,
+    transforms: opts.transforms,
+    textExtensions: opts.textExtensions,
+    browsers: opts.browsers,
+    env: processEnv.normalize(opts.env, 'production'),
+    shims: shims.normalize(opts.shims)
   })
 
   const dest = opts.dest && path.resolve(root, opts.dest)
-  const result = _process(id, toplevel, opts.sourceRoot)
+  const result = yield* _process(id, sources, opts)
 
   if (dest) {
     yield* _compileFile(id, {
       dest,
       js: result.js,
-      map: result.map
+      map: result.map,
+      hash: opts.hash,
+      stats: result.stats,
+      extensions: textModule.extensions(opts.textExtensions)
     })
   }
 
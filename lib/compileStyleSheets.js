@@ -8,23 +8,40 @@ const postcss = require('postcss')
 const autoprefixer =  require('autoprefixer')
 const atImport = require('postcss-import')
 const path = require('path')
+const minimatch = require('minimatch')
 
 const fs = require('./fs')
 const glob = require('./glob')
 const mkdirp = require('./mkdirp')
+const manifest = require('./manifest')
+const styleModule = require('./styleModule')
+const styleAssets = require('./styleAssets')
+const browsers = require('./browsers')
+const { alternatives, preprocess } = require('./preprocess')
 
-const readFile = fs.readFile
 const writeFile = fs.writeFile
 
+const RE_PREPROCESSED = /\.(?:scss|less)$/
+
 
 /**
- * Compile stylesheets in components
+ * Compile stylesheets in components. The class names in `.module.css` are
+ * scoped, and the map of them is written to `.module.css.json`. The assets in
+ * `url()` are copied to `<dest>/<name>/<version>/assets` with fingerprints.
+ * The stylesheets are prefixed for the browsers configured and minified.
  *
- * @param {Object}    opts
- * @param {string}    opts.dest
- * @param {string}    opts.match
- * @param {string[]}  opts.paths
- * @param {string}    opts.root
+ * The stylesheets written in Sass or Less are matched as css, such as
+ * `main.scss` by `main.css`, and compiled into `main.css`. The partials
+ * prefixed with `_` are skipped.
+ *
+ * @param {Object}           opts
+ * @param {string|string[]} [opts.browsers]    The browsers to prefix for, defaults to the browserslist config
+ * @param {string}           opts.dest
+ * @param {boolean}          opts.hash         Fingerprint file names and record them in manifest.json
+ * @param {number}           opts.inlineLimit  Inline the assets no larger than this in bytes as data uri
+ * @param {string}           opts.match
+ * @param {string[]}         opts.paths
+ * @param {string}           opts.root
  */
 function* compileStyleSheets(opts) {
   opts = opts || {}
@@ -33,35 +50,80 @@ function* compileStyleSheets(opts) {
     return path.resolve(root, dir)
   })
   const pkg = require(path.join(root, 'package.json'))
-  const dest = path.resolve(root, opts.dest || 'public', pkg.name, pkg.version)
+  const manifestDir = path.resolve(root, opts.dest || 'public')
+  const dest = path.join(manifestDir, pkg.name, pkg.version)
   const match = opts.match || '{main,main/**/*}.css'
+  const prefixer = autoprefixer({ browsers: browsers(root, opts.browsers) })
+  const prefix = `${pkg.name}/${pkg.version}/`
+
+  // the stylesheets matched are compiled again. The ones extracted from the
+  // main components by compileAll, which have javascript along, are left out.
+  if (opts.hash) {
+    manifest.prune(manifestDir, function(id, entries) {
+      return id.startsWith(prefix) && id.endsWith('.css') &&
+        !entries.hasOwnProperty(id.replace(/\.css$/, '.js')) &&
+        minimatch(id.slice(prefix.length), match)
+    })
+  }
 
-  const processor = postcss()
-    .use(atImport({
-      path: [ path.join(process.cwd(), 'node_modules') ].concat(paths)
-    }))
-    .use(autoprefixer())
+  function processorOf(fpath, entry, classes) {
+    const from = path.relative(root, fpath)
+    const processor = postcss()
+      .use(atImport({
+        path: [ path.join(process.cwd(), 'node_modules') ].concat(paths)
+      }))
+
+    if (classes) processor.use(styleModule.scope({ file: from, classes }))
+    return processor
+      .use(styleAssets({
+        file: fpath,
+        from,
+        to: path.join(dest, entry),
+        assetsDir: path.join(dest, 'assets'),
+        inlineLimit: opts.inlineLimit
+      }))
+      .use(prefixer)
+      .use(styleModule.minifier())
+  }
 
   for (let i = 0; i < paths.length; i++) {
     const currentPath = paths[i]
-    const entries = yield glob(path.join(currentPath, match))
+    const entries = []
+    const files = yield alternatives(match).map(function(pattern) {
+      return glob(path.join(currentPath, pattern))
+    })
+
+    // the css ones come first, which are preferred over the preprocessed ones.
+    files.reduce((result, list) => result.concat(list), []).forEach(function(fpath) {
+      const entry = path.relative(currentPath, fpath).replace(RE_PREPROCESSED, '.css')
+      const partial = RE_PREPROCESSED.test(fpath) && path.basename(fpath).charAt(0) === '_'
+
+      if (!partial && !entries.some(item => item.entry === entry)) {
+        entries.push({ fpath, entry })
+      }
+    })
 
     for (let j = 0; j < entries.length; j++) {
-      const entry = path.relative(currentPath, entries[j])
+      const { fpath, entry } = entries[j]
+      const classes = styleModule.isModule(entry) ? {} : null
 
       try {
-        yield* compileStyleSheet(processor, {
+        yield* compileStyleSheet(processorOf(fpath, entry, classes), {
           root,
           dest,
           entry,
-          path: currentPath
+          fpath,
+          paths,
+          hash: opts.hash,
+          manifestDir,
+          classes
         })
       } catch (err) {
         if (err instanceof SyntaxError) {
           console.error(err.stack)
         } else {
           // the original err.stack does not give anything useful yet.
-          throw new Error(`Failed to compile ${entry}`)
+          throw new Error(`Failed to compile ${entry}: ${err.message}`)
         }
       }
     }
@@ -72,31 +134,54 @@ function* compileStyleSheets(opts) {
 /**
  * Compile stylesheet in components
  *
- * @param {Object} processor
- * @param {Object} opts
- * @param {string} opts.dest
- * @param {string} opts.entry
- * @param {string} opts.path
- * @param {string} opts.root
+ * @param {Object}    processor
+ * @param {Object}    opts
+ * @param {string}    opts.dest
+ * @param {string}    opts.entry        The stylesheet to compile into, relative to its load path
+ * @param {string}    opts.fpath        The source of it, which might be Sass or Less
+ * @param {string[]}  opts.paths
+ * @param {string}    opts.root
+ * @param {boolean}  [opts.hash]
+ * @param {string}   [opts.manifestDir]  Where manifest.json is
+ * @param {Object}   [opts.classes]      The scoped class names to write along
  */
 function* compileStyleSheet(processor, opts) {
-  const { root, path: currentPath, dest, entry } = opts
+  const { root, paths, dest, entry, fpath, hash } = opts
+  const source = yield* preprocess(fpath, { root, paths })
 
-  const destPath = path.join(dest, entry)
-  const fpath = path.join(currentPath, entry)
-  const source = yield readFile(fpath, 'utf8')
-
-  const result = yield processor.process(source, {
+  const result = yield processor.process(source.css, {
     from: path.relative(root, fpath),
     to: entry,
-    map: { inline: false, sourcesContent: false }
+    // the annotation has to wait until the fingerprint is known
+    map: {
+      inline: false,
+      sourcesContent: false,
+      annotation: !hash,
+      prev: source.map || false
+    }
   })
 
+  let destPath = path.join(dest, entry)
+  let css = result.css
+
+  if (hash) {
+    const id = path.relative(opts.manifestDir, destPath)
+    destPath = destPath.replace(/(\.css)$/, `-${manifest.fingerprint(css)}$1`)
+    css += `\n/*# sourceMappingURL=${path.basename(destPath)}.map */`
+    yield* manifest.update(opts.manifestDir, {
+      [id]: path.relative(opts.manifestDir, destPath)
+    })
+  }
+
   yield mkdirp(path.dirname(destPath))
   yield [
-    writeFile(destPath, result.css),
+    writeFile(destPath, css),
     writeFile(destPath + '.map', result.map)
   ]
+
+  if (opts.classes) {
+    yield writeFile(path.join(dest, entry + '.json'), JSON.stringify(opts.classes, null, 2))
+  }
 }
 
 
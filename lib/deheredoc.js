@@ -4,7 +4,7 @@
  * @module
  */
 
-const UglifyJS = require('uglify-js')
+const UglifyJS = require('uglify-es')
 
 
 /**
@@ -42,7 +42,7 @@ function deheredoc(ast) {
         value: value
       })
     }
-    if (node instanceof UglifyJS.AST_Var) {
+    if (node instanceof UglifyJS.AST_Definitions) {
       if (node.definitions.length === 1 &&
         isHeredocDefinition(node.definitions[0])) {
         return new UglifyJS.AST_EmptyStatement()
@@ -62,13 +62,13 @@ function deheredoc(ast) {
    * - ma/pebble 中为了实现反射，有 var Klass = require(klass) 这样的调用
    */
   function isHeredocDefinition(definition) {
-    return (definition.name instanceof UglifyJS.AST_SymbolVar &&
+    return (definition.name instanceof UglifyJS.AST_SymbolDeclaration &&
       definition.value instanceof UglifyJS.AST_Call &&
       definition.value.expression.name === 'require' &&
       definition.value.args.length === 1 &&
       definition.value.args[0] instanceof UglifyJS.AST_String &&
       definition.value.args[0].value.indexOf('heredoc') > -1) ||
-      (definition.name instanceof UglifyJS.AST_SymbolVar &&
+      (definition.name instanceof UglifyJS.AST_SymbolDeclaration &&
       definition.value instanceof UglifyJS.AST_Dot &&
       definition.value.expression instanceof UglifyJS.AST_Call &&
       definition.value.expression.expression.name === 'require' &&
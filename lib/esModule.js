@@ -0,0 +1,110 @@
+'use strict'
+
+/**
+ * The components and modules written with `import` and `export`, which are
+ * converted into CommonJS before being wrapped with define(), hence served and
+ * bundled the same as the ones written in CommonJS. Dynamic `import()` is
+ * converted into `require.async()` of the loader.
+ *
+ * @module
+ */
+
+const babel = require('babel-core')
+const template = require('babel-template')
+const matchRequire = require('match-require')
+const syntaxDynamicImport = require('babel-plugin-syntax-dynamic-import')
+const modulesCommonjs = require('babel-plugin-transform-es2015-modules-commonjs')
+
+// same as the one used by match-require, hence the `://` in urls is kept.
+const RE_COMMENT = /(\/\*([\s\S]*?)\*\/|([^:]|^)\/\/(.*)$)/mg
+const RE_SYNTAX = /(?:^|[;}])\s*(?:import(?:\s+[\w$*{]|\s*[*{'"])|export(?:\s+[\w$*{]|\s*[*{]))|(?:[^.\w$]|^)import\s*\(/m
+const RE_IMPORT = /(?:^|[;}])\s*(?:import|export)\s+(?:[\w$*{},\s]+?\s+from\s+)?(['"])([^'"]+)\1/gm
+
+// The namespace of the modules written in CommonJS is made of module.exports,
+// which is the default export too.
+const buildAsyncImport = template(`
+  require.async(SOURCE).then(function(mod) {
+    return mod && mod.__esModule ? mod : Object.assign({ 'default': mod }, mod)
+  })
+`)
+
+
+function asyncImport() {
+  return {
+    visitor: {
+      CallExpression(nodePath) {
+        if (nodePath.node.callee.type !== 'Import') return
+        nodePath.replaceWith(buildAsyncImport({ SOURCE: nodePath.node.arguments[0] }))
+      }
+    }
+  }
+}
+
+
+/**
+ * @param {string} code
+ *
+ * @returns {boolean} Whether the code has `import`, `export`, or `import()` in it
+ */
+function test(code) {
+  return RE_SYNTAX.test(code.replace(RE_COMMENT, '$3'))
+}
+
+
+/**
+ * Find the ids the code depends on, which are either required or imported.
+ * The ones imported with `import()` are loaded asynchronously, hence not
+ * included.
+ *
+ * @param {string} code
+ *
+ * @returns {string[]}
+ */
+function findAll(code) {
+  const ids = matchRequire.findAll(code)
+
+  if (!test(code)) return ids
+
+  const content = code.replace(RE_COMMENT, '$3')
+  let m
+
+  RE_IMPORT.lastIndex = 0
+  while ((m = RE_IMPORT.exec(content))) {
+    if (ids.indexOf(m[2]) < 0) ids.push(m[2])
+  }
+
+  return ids
+}
+
+
+/**
+ * Convert the code into CommonJS, with `exports.__esModule` set for the
+ * importers to tell the default export from module.exports. It's set with
+ * assignment rather than Object.defineProperty(), which is not supported
+ * in IE8.
+ *
+ * @param {string} code
+ * @param {string} filename  The file name recorded in source map
+ *
+ * @returns {Object} `{ code, map }`
+ */
+function transform(code, filename) {
+  const result = babel.transform(code, {
+    babelrc: false,
+    filename,
+    sourceFileName: filename,
+    sourceMaps: true,
+    plugins: [
+      syntaxDynamicImport,
+      asyncImport,
+      [modulesCommonjs, { loose: true }]
+    ]
+  })
+
+  return { code: result.code, map: result.map }
+}
+
+
+exports.test = test
+exports.findAll = findAll
+exports.transform = transform
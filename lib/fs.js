@@ -40,6 +40,15 @@ exports.lstat = function lstat(fpath) {
   })
 }
 
+exports.stat = function stat(fpath) {
+  return new Promise(function(resolve, reject) {
+    fs.stat(fpath, function(err, stats) {
+      if (err) reject(new Error(err))
+      else resolve(stats)
+    })
+  })
+}
+
 exports.readdir = function readdir(dir) {
   return new Promise(function(resolve, reject) {
     fs.readdir(dir, function(err, entries) {
@@ -0,0 +1,276 @@
+'use strict'
+
+/**
+ * @module
+ */
+
+const path = require('path')
+
+const fs = require('./fs')
+const glob = require('./glob')
+const parseMap = require('./parseMap')
+const parseSystem = require('./parseSystem')
+const findComponent = require('./findComponent')
+const esModule = require('./esModule')
+const resolve = require('./resolve')
+const shims = require('./shims')
+
+
+/**
+ * @typedef  {Graph}
+ * @type     {Object}
+ * @property {Object} nodes    Components by ids, and modules by `name@version`
+ * @property {Object} edges    The ids of the nodes required by each node
+ * @property {Object} modules  The versions of each package in system.modules
+ */
+
+/**
+ * Parse the graph of components and the modules required by them.
+ *
+ * @param {Object}           opts
+ * @param {string|string[]} [opts.paths=components]
+ * @param {string}          [opts.root=process.cwd()]
+ * @param {Object}          [opts.shims]  The packages to shim Node built-ins with, see shims.normalize()
+ *
+ * @yield {Graph}
+ */
+function* parse(opts = {}) {
+  const root = opts.root || process.cwd()
+  const paths = [].concat(opts.paths || 'components').map(function(dir) {
+    return path.resolve(root, dir)
+  })
+  const pkg = require(path.join(root, 'package.json'))
+  const dependenciesMap = yield* parseMap(Object.assign({}, opts, { root, paths }))
+  const system = parseSystem(pkg, dependenciesMap)
+  const shimTable = shims.normalize(opts.shims)
+  const nodes = {}
+  const edges = {}
+
+  function addEdge(from, to) {
+    const targets = edges[from] || (edges[from] = [])
+    if (targets.indexOf(to) < 0) targets.push(to)
+  }
+
+  function walkModules(deps) {
+    for (const name in deps) {
+      const data = deps[name]
+      const id = `${name}@${data.version}`
+      const children = data.dependencies || {}
+
+      if (id in nodes) continue
+      nodes[id] = { type: 'module', name, version: data.version }
+      edges[id] = []
+
+      for (const child in children) {
+        addEdge(id, `${child}@${children[child].version}`)
+      }
+      walkModules(children)
+    }
+  }
+
+  walkModules(dependenciesMap)
+
+  /*
+   * Find the node required by the component, the same way as compileAll,
+   * which might be a component, a module or a subpath in it, or the package
+   * that shims the Node built-in.
+   */
+  function* targetOf(entry, dep) {
+    if (dep.charAt(0) === '.') {
+      const file = path.join(path.dirname(entry), dep).replace(/\.js$/, '')
+      return [pkg.name, pkg.version, file].join('/')
+    }
+    if (yield findComponent(dep + '.js', paths)) {
+      return [pkg.name, pkg.version, dep].join('/')
+    }
+
+    const mod = resolve.split(dep)
+    let name = mod.name
+
+    if (name === pkg.name) {
+      const file = mod.entry || pkg.main || 'index'
+      return [pkg.name, pkg.version, file.replace(/\.js$/, '')].join('/')
+    }
+    if (!(name in dependenciesMap) && shimTable.hasOwnProperty(name)) {
+      name = shimTable[name]
+    }
+    if (name && name in dependenciesMap) {
+      return `${name}@${dependenciesMap[name].version}`
+    }
+  }
+
+  for (let i = 0; i < paths.length; i++) {
+    const currentPath = paths[i]
+    const entries = yield glob(path.join(currentPath, '{*.js,!(node_modules)/**/*.js}'))
+
+    for (let j = 0; j < entries.length; j++) {
+      const entry = path.relative(currentPath, entries[j]).replace(/\.js$/, '')
+      const id = [pkg.name, pkg.version, entry].join('/')
+
+      if (id in nodes) continue
+      nodes[id] = { type: 'component', file: path.relative(root, entries[j]) }
+      edges[id] = []
+
+      const deps = esModule.findAll(yield fs.readFile(entries[j], 'utf8'))
+
+      for (let k = 0; k < deps.length; k++) {
+        const target = yield* targetOf(entry, deps[k])
+        if (target) addEdge(id, target)
+      }
+    }
+  }
+
+  const modules = {}
+
+  for (const name in system.modules) {
+    if (name !== pkg.name) modules[name] = Object.keys(system.modules[name])
+  }
+
+  return { nodes, edges, modules }
+}
+
+
+/**
+ * The components that are not required by other components, such as the
+ * main components.
+ *
+ * @param {Graph} graph
+ *
+ * @returns {string[]}
+ */
+function roots(graph) {
+  const { nodes, edges } = graph
+  const components = Object.keys(nodes).filter(function(id) {
+    return nodes[id].type === 'component'
+  })
+  const required = {}
+
+  components.forEach(function(id) {
+    edges[id].forEach(function(target) {
+      required[target] = true
+    })
+  })
+
+  const result = components.filter(function(id) {
+    return !required[id]
+  })
+
+  return result.length ? result : components
+}
+
+
+/**
+ * Find out why a module is included by listing the require chains from the
+ * components down to it.
+ *
+ * @param {Graph}  graph
+ * @param {string} spec  `name` or `name@version`
+ *
+ * @returns {Array[]} chains  Each chain is an array of the ids of the nodes
+ */
+function why(graph, spec) {
+  const { nodes, edges } = graph
+  const parts = spec.match(/^(@?[^@]+)(?:@(.+))?$/)
+  const chains = []
+
+  function matches(id) {
+    const node = nodes[id]
+    return node && node.type === 'module' && node.name === parts[1] &&
+      (!parts[2] || node.version === parts[2])
+  }
+
+  function walk(id, chain) {
+    if (chain.indexOf(id) >= 0) return
+    chain = chain.concat(id)
+
+    if (matches(id)) {
+      chains.push(chain)
+      return
+    }
+
+    const targets = edges[id] || []
+    for (let i = 0; i < targets.length; i++) walk(targets[i], chain)
+  }
+
+  if (parts) roots(graph).forEach(function(id) { walk(id, []) })
+
+  return chains
+}
+
+
+/**
+ * @param {Graph} graph
+ *
+ * @returns {string} The graph in DOT language of Graphviz
+ */
+function toDOT(graph) {
+  const { nodes, edges } = graph
+  const lines = ['digraph oceanify {']
+
+  for (const id in nodes) {
+    const shape = nodes[id].type === 'component' ? 'box' : 'ellipse'
+    lines.push(`  ${JSON.stringify(id)} [shape=${shape}];`)
+  }
+
+  for (const id in edges) {
+    edges[id].forEach(function(target) {
+      lines.push(`  ${JSON.stringify(id)} -> ${JSON.stringify(target)};`)
+    })
+  }
+
+  lines.push('}')
+  return lines.join('\n')
+}
+
+
+/**
+ * Print the graph as trees that start from the components returned by
+ * roots(), followed by the versions of each package. The subtrees printed
+ * already are marked as deduped.
+ *
+ * @param {Graph} graph
+ *
+ * @returns {string}
+ */
+function toText(graph) {
+  const { edges, modules } = graph
+  const printed = {}
+  const lines = []
+
+  function walk(id, prefix, last) {
+    const targets = edges[id] || []
+    const deduped = printed[id] && targets.length > 0
+    const branch = targets.length && !deduped ? '┬' : '─'
+
+    lines.push(`${prefix}${last ? '└' : '├'}─${branch} ${id}${deduped ? ' (deduped)' : ''}`)
+    if (deduped) return
+    printed[id] = true
+
+    targets.forEach(function(target, i) {
+      walk(target, prefix + (last ? '  ' : '│ '), i === targets.length - 1)
+    })
+  }
+
+  roots(graph).forEach(function(id) {
+    lines.push(id)
+    printed[id] = true
+    edges[id].forEach(function(target, i) {
+      walk(target, '', i === edges[id].length - 1)
+    })
+    lines.push('')
+  })
+
+  lines.push('Packages:')
+  Object.keys(modules).sort().forEach(function(name) {
+    lines.push(`  ${name}: ${modules[name].join(', ')}`)
+  })
+
+  return lines.join('\n')
+}
+
+
+exports.parse = parse
+exports.roots = roots
+exports.why = why
+exports.toDOT = toDOT
+exports.toText = toText
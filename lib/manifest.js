@@ -0,0 +1,87 @@
+'use strict'
+
+/**
+ * @module
+ */
+
+const path = require('path')
+const crypto = require('crypto')
+
+const fs = require('./fs')
+const mkdirp = require('./mkdirp')
+
+
+/**
+ * @param   {string|Buffer} content
+ * @returns {string} The first 8 characters of the md5 digest of the content
+ */
+function fingerprint(content) {
+  return crypto.createHash('md5').update(content).digest('hex').slice(0, 8)
+}
+
+
+/**
+ * Read manifest.json in dest, which maps the ids of the compiled files to the
+ * fingerprinted file names.
+ *
+ * @param   {string} dest
+ * @returns {Object} manifest
+ */
+function read(dest) {
+  const fpath = path.join(dest, 'manifest.json')
+
+  return fs.existsSync(fpath)
+    ? JSON.parse(fs.readFileSync(fpath, 'utf8'))
+    : {}
+}
+
+
+function write(dest, manifest) {
+  const sorted = Object.keys(manifest).sort().reduce(function(result, id) {
+    result[id] = manifest[id]
+    return result
+  }, {})
+
+  fs.writeFileSync(path.join(dest, 'manifest.json'), JSON.stringify(sorted, null, 2))
+}
+
+
+/**
+ * Merge entries into manifest.json in dest. The file is read and written
+ * synchronously to not lose entries when compileAll and compileStyleSheets are
+ * running at the same time.
+ *
+ * @param {string} dest
+ * @param {Object} entries
+ */
+function* update(dest, entries) {
+  yield mkdirp(dest)
+  write(dest, Object.assign(read(dest), entries))
+}
+
+
+/**
+ * Remove the entries of the files about to be compiled again, hence the ones
+ * no longer emitted don't linger in manifest.json. Called synchronously before
+ * compiling, for the same reason as update().
+ *
+ * @param {string}   dest
+ * @param {Function} test  Called with the id and the manifest before pruning, returns true to remove
+ */
+function prune(dest, test) {
+  if (!fs.existsSync(path.join(dest, 'manifest.json'))) return
+
+  const manifest = read(dest)
+  const ids = Object.keys(manifest).filter(function(id) {
+    return test(id, manifest)
+  })
+
+  for (const id of ids) delete manifest[id]
+  write(dest, manifest)
+}
+
+
+exports.fingerprint = fingerprint
+exports.read = read
+exports.update = update
+exports.prune = prune
@@ -0,0 +1,42 @@
+'use strict'
+
+/**
+ * @module
+ */
+
+// same as the one used by match-require, hence the `://` in urls is kept.
+const RE_COMMENT = /(\/\*([\s\S]*?)\*\/|([^:]|^)\/\/(.*)$)/mg
+const RE_ASYNC = /(?:[^.\w$]|^)require\.async\s*\(\s*(?:(['"])([^'"]+)\1|\[([^\]]*)\])/g
+const RE_STRING = /(['"])([^'"]+)\1/g
+
+
+/**
+ * Find the ids passed to `require.async()`, such as `require.async('yen')` or
+ * `require.async(['yen', './nav'], fn)`.
+ *
+ * @param  {string}   content
+ *
+ * @returns {string[]} ids
+ */
+function findAll(content) {
+  const ids = []
+  let m
+
+  content = content.replace(RE_COMMENT, '$3')
+  RE_ASYNC.lastIndex = 0
+
+  while ((m = RE_ASYNC.exec(content))) {
+    if (m[2]) {
+      ids.push(m[2])
+    } else {
+      let str
+      RE_STRING.lastIndex = 0
+      while ((str = RE_STRING.exec(m[3]))) ids.push(str[2])
+    }
+  }
+
+  return ids
+}
+
+
+exports.findAll = findAll
@@ -0,0 +1,126 @@
+'use strict'
+
+/**
+ * @module
+ */
+
+const UglifyJS = require('uglify-es')
+const babel = require('babel-core')
+const presetEnv = require('babel-preset-env')
+
+const deheredoc = require('./deheredoc')
+const stats = require('./stats')
+const transform = require('./transform')
+
+
+/**
+ * @typedef  {Source}
+ * @type     {Object}
+ * @property {string}  code     The code wrapped with define()
+ * @property {string}  filename The file name recorded in source map
+ * @property {string} [id]      The id of the module, or loader
+ * @property {Object} [map]     The source map returned by the transforms
+ */
+
+/**
+ * @typedef  {ProcessResult}
+ * @type     {Object}
+ * @property {string}       js     Compiled javascript
+ * @property {string}       map    Source map of the compiled javascript
+ * @property {BundleStats} [stats] The sizes of the modules in the bundle
+ * @property {string}      [css]   The stylesheets extracted from the bundle
+ */
+
+/**
+ * Transpile the code with babel-preset-env. The lines are retained to keep the
+ * source map of the minified code pointing at the right lines.
+ *
+ * @param {string}          code
+ * @param {string|Object}   targets  Browserslist queries, or the targets of babel-preset-env
+ *
+ * @returns {string}
+ */
+function downlevel(code, targets) {
+  if (typeof targets === 'string' || Array.isArray(targets)) {
+    targets = { browsers: targets }
+  }
+
+  return babel.transform(code, {
+    babelrc: false,
+    retainLines: true,
+    presets: [[presetEnv, { targets, modules: false }]]
+  }).code
+}
+
+
+/**
+ * Parse the sources into one ast, then compress and mangle it into compiled js
+ * and source map. The sources are plain data so that the work can be done in
+ * a worker process too.
+ *
+ * @param {string}           id
+ * @param {Source[]}         sources
+ * @param {Object}           opts
+ * @param {string}          [opts.sourceRoot]
+ * @param {boolean}         [opts.stats]       Measure the modules in the bundle
+ * @param {string|Object}   [opts.targets]     Transpile ES2015+ syntax for the targets
+ *
+ * @returns {ProcessResult}
+ */
+function minify(id, sources, opts) {
+  /* eslint-disable camelcase */
+  let ast
+
+  for (let i = 0; i < sources.length; i++) {
+    const source = sources[i]
+    // loader.js is in ES5 already
+    const code = opts.targets && source.id !== 'loader'
+      ? downlevel(source.code, opts.targets)
+      : source.code
+
+    try {
+      ast = UglifyJS.parse(code, {
+        filename: source.filename,
+        toplevel: ast
+      })
+    } catch (err) {
+      // The message of the custom Error class of UglifyJS does not tell where
+      // the syntax error is.
+      throw new Error(`${err.message} (${source.filename}:${err.line}:${err.col})`)
+    }
+  }
+
+  const result = UglifyJS.minify(deheredoc(ast), {
+    // keep quoting the reserved words like oceanify["import"]
+    ie8: true,
+    sourceMap: {
+      filename: id + '.js',
+      root: opts.sourceRoot
+    },
+    output: {
+      ascii_only: true,
+      ast: !!opts.stats
+    }
+  })
+
+  if (result.error) throw result.error
+
+  let map = result.map
+
+  // map the compiled javascript back to the sources before transforms
+  for (let i = 0; i < sources.length; i++) {
+    const source = sources[i]
+    if (source.map) map = transform.compose(map, source.map, source.filename)
+  }
+
+  const js = result.code
+  const processed = { js, map: typeof map === 'string' ? map : JSON.stringify(map) }
+
+  if (opts.stats) processed.stats = stats.collect(sources, result.ast, js)
+
+  return processed
+  /* eslint-enable camelcase */
+}
+
+
+module.exports = minify
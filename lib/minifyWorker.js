@@ -0,0 +1,23 @@
+'use strict'
+
+/**
+ * The worker process forked by WorkerPool. Receives `{ id, sources, opts }` and
+ * replies with the result of minify().
+ *
+ * @module
+ */
+
+const minify = require('./minify')
+
+
+process.on('message', function(job) {
+  let result
+
+  try {
+    result = minify(job.id, job.sources, job.opts)
+  } catch (err) {
+    return process.send({ error: err.message })
+  }
+
+  process.send({ result })
+})
@@ -6,10 +6,14 @@
 
 const path = require('path')
 const format = require('util').format
-const matchRequire = require('match-require')
+const semver = require('semver')
 
 const fs = require('./fs')
 const glob = require('./glob')
+const esModule = require('./esModule')
+const browserField = require('./browserField')
+const shims = require('./shims')
+const resolve = require('./resolve')
 
 const readFile = fs.readFile
 const exists = fs.exists
@@ -41,28 +45,73 @@ function* resolveModule(opts) {
   var pkgPath = path.join(pkgRoot, 'package.json')
   var pkg = JSON.parse(yield readFile(pkgPath, 'utf8'))
 
-  var main = typeof pkg.browser === 'string'
+  checkVersion(pkg.version, opts)
+
+  var browser = browserField.parse(pkg.browser)
+  var main = (yield* resolve.file(pkgRoot, typeof pkg.browser === 'string'
     ? pkg.browser
-    : pkg.main || 'index.js'
+    : pkg.main || 'index')) || 'index.js'
+
+  if (browser) main = browserField.replace(browser, main) || main
 
   var dependencies = {}
+  // the modules required, with the subpaths required besides main
+  var required = {}
+  // the files required as directories or without extensions, such as
+  // `{ lib: 'lib/index', data: 'data.json' }`
+  var alias = {}
+  var visited = {}
 
   function* resolveDependency(entry, context) {
-    var fpath = path.join(context, entry.replace(/(?:\.js)?$/, '.js'))
+    var request = path.relative(pkgRoot, path.join(context, entry))
+    var file = yield* resolve.file(pkgRoot, request)
+
+    if (!file) {
+      console.warn(format('Cannot find %s required by %s', entry, pkg.name))
+      return
+    }
+
+    if (request.replace(/\.js$/, '') !== file.replace(/\.js$/, '')) {
+      alias[request.replace(/\.js$/, '')] = file.replace(/\.js$/, '')
+    }
+
+    // JSON files have no dependencies
+    if (path.extname(file) !== '.js') return
+
+    file = browserField.replace(browser, file)
+
+    // replaced with an empty module, or parsed already
+    if (file === false || visited[file]) return
+    visited[file] = true
+
+    var fpath = path.join(pkgRoot, file + '.js')
     var content = yield readFile(fpath, 'utf8')
-    var deps = matchRequire.findAll(content)
+    var deps = esModule.findAll(content)
 
     for (var i = 0, len = deps.length; i < len; i++) {
       let name = deps[i]
+      let dir = path.dirname(fpath)
+
+      if (browser && name.charAt(0) !== '.' && browser.hasOwnProperty(name)) {
+        if (browser[name] === false) continue
+        // the replacements of modules are relative to the package
+        name = browser[name]
+        dir = pkgRoot
+      }
 
       if (name.charAt(0) === '.') {
-        yield* resolveDependency(name, path.dirname(fpath))
+        yield* resolveDependency(name, dir)
+        continue
       }
-      else if (name in pkg.dependencies || name in pkg.devDependencies) {
-        dependencies[name] = yield* resolveModule({
-          root: pkgRoot,
-          name: name
-        })
+
+      let mod = resolve.split(name)
+
+      if (mod.name in (pkg.dependencies || {}) || mod.name in (pkg.devDependencies || {})) {
+        let entries = required[mod.name] || (required[mod.name] = [])
+        if (mod.entry && entries.indexOf(mod.entry) < 0) entries.push(mod.entry)
+      }
+      else if (opts.shims && opts.shims.hasOwnProperty(mod.name)) {
+        yield* opts.resolveShim(mod.name, pkg.name)
       }
       else {
         unmetDependency(name, pkg.name)
@@ -72,15 +121,145 @@ function* resolveModule(opts) {
 
   yield* resolveDependency(main, pkgRoot)
 
+  // the subpaths required by the dependents, such as `events` of `yen/events`,
+  // which are requested by the loader separately.
+  var entries = []
+
+  for (let entry of opts.entries || []) {
+    let file = yield* resolve.file(pkgRoot, entry)
+
+    if (file && path.extname(file) === '.js') file = browserField.replace(browser, file)
+    if (file && entries.indexOf(file) < 0) entries.push(file)
+
+    yield* resolveDependency(entry, pkgRoot)
+  }
+
+  for (let name in required) {
+    dependencies[name] = yield* resolveModule({
+      root: pkgRoot,
+      name: name,
+      range: (pkg.dependencies || {})[name] || (pkg.devDependencies || {})[name],
+      dependent: pkg.name,
+      strict: opts.strict,
+      entries: required[name],
+      shims: opts.shims,
+      resolveShim: opts.resolveShim
+    })
+  }
+
   return {
     dir: pkgRoot,
     dependencies: dependencies,
     main: main,
+    browser: browser,
+    alias: Object.keys(alias).length ? alias : undefined,
+    entries: entries.length ? entries : undefined,
+    range: opts.range,
     version: pkg.version
   }
 }
 
 
+/**
+ * Check the version found against the range required by the dependent. The
+ * ranges other than semver, such as urls and tags, are skipped.
+ *
+ * @param {string}   version          The version found
+ * @param {Object}   opts
+ * @param {string}   opts.name        Name of the dependency
+ * @param {string}  [opts.range]      The range required
+ * @param {string}  [opts.dependent]  Name of the dependent
+ * @param {boolean} [opts.strict]     Throw rather than warn if not satisfied
+ */
+function checkVersion(version, opts) {
+  var range = opts.range
+
+  if (!range || !semver.validRange(range)) return
+  if (semver.valid(version) && semver.satisfies(version, range)) return
+
+  var message = format('%s@%s doesn\'t satisfy %s required by %s',
+    opts.name, version, range, opts.dependent)
+
+  if (opts.strict) throw new Error(message)
+  console.warn(message)
+}
+
+
+/**
+ * Find the versions of every module in the map.
+ *
+ * @param {DependenciesMap} dependencies
+ *
+ * @returns {Object} Something like `{ yen: { '1.2.4': data } }`
+ */
+function versionsOf(dependencies) {
+  var versions = {}
+
+  function walk(deps) {
+    for (var name in deps) {
+      var data = deps[name]
+      var found = versions[name] || (versions[name] = {})
+
+      if (!data.version || found[data.version]) continue
+      found[data.version] = data
+      walk(data.dependencies)
+    }
+  }
+
+  walk(dependencies)
+  return versions
+}
+
+
+/**
+ * Replace the modules with the highest version found in the map that satisfies
+ * the range required, hence the compatible versions collapse into one. The
+ * versions are found again after each replacement, for the ones left only in
+ * the replaced modules not to be picked. The ones that would require
+ * themselves after replaced are left as is.
+ *
+ * @param {DependenciesMap} dependencies
+ */
+function dedupe(dependencies) {
+  var versions = versionsOf(dependencies)
+
+  function walk(deps, ancestors) {
+    for (var name in deps) {
+      var data = deps[name]
+      var max = data.range && semver.validRange(data.range) && semver.valid(data.version) &&
+        semver.maxSatisfying(Object.keys(versions[name]), data.range)
+      var target = max && versions[name][max]
+
+      if (target && semver.gt(max, data.version) && ancestors.indexOf(target) < 0) {
+        data = deps[name] = target
+        versions = versionsOf(dependencies)
+      }
+      if (ancestors.indexOf(data) < 0) walk(data.dependencies, ancestors.concat(data))
+    }
+  }
+
+  walk(dependencies, [])
+}
+
+
+/**
+ * Warn about the modules that have more than one version in the map, which
+ * are all loaded in browser.
+ *
+ * @param {DependenciesMap} dependencies
+ */
+function duplicateVersions(dependencies) {
+  var versions = versionsOf(dependencies)
+
+  for (var name in versions) {
+    var found = Object.keys(versions[name])
+    if (found.length > 1) {
+      console.warn(format('Multiple versions of %s found: %s', name, found.join(', ')))
+    }
+  }
+}
+
+
 /**
  * Find the path of a component in mutiple base directories
  *
@@ -118,6 +297,9 @@ function unmetDependency(name, dependent) {
  * @param {string}   [opts.root=process.cwd()] Current working directory
  * @param {string}   [opts.base=components]    Components directory
  * @param {encoding} [opts.encoding=utf8]     Encoding of the components
+ * @param {Object}   [opts.shims]             The packages to shim Node built-ins with, see shims.normalize()
+ * @param {boolean}  [opts.strict=false]      Throw if the version found doesn't satisfy the range required
+ * @param {boolean}  [opts.dedupe=false]      Collapse the compatible versions into the highest one
  *
  * @returns {DependenciesMap}
  *
@@ -132,11 +314,11 @@ function unmetDependency(name, dependent) {
  *     "version": "0.2.2",
  *     "dependencies": {
  *       "extend-object": {
- *         "main": "./extend-object.js",
+ *         "main": "extend-object.js",
  *         "version": "1.0.0"
  *       },
  *       "inherits": {
- *         "main": "./inherits_browser",
+ *         "main": "inherits_browser.js",
  *         "version": "2.0.1"
  *       }
  *     }
@@ -152,8 +334,42 @@ function* parseMap(opts) {
   var paths = [].concat(opts.paths || 'components').map(function(dir) {
     return path.resolve(root, dir)
   })
+  var browser = browserField.parse(pkg.browser)
+  var shimTable = shims.normalize(opts.shims)
   var currentPath
   var dependencies = {}
+  // the modules required by components, with the subpaths required besides main
+  var required = {}
+
+  /*
+   * Resolve the package that shims the Node built-in at the top level, which
+   * is looked up from root, then from oceanify, which has some of them as
+   * dependencies.
+   */
+  function* resolveShim(name, dependent) {
+    var target = shimTable[name]
+
+    if (target === false || target in dependencies) return
+
+    var pkgRoot = (yield* closest(root, target)) ||
+      (yield* closest(path.join(__dirname, '..'), target))
+
+    if (!pkgRoot) {
+      console.warn(format('Please install %s to shim %s required by %s',
+        target, name, dependent))
+      return
+    }
+
+    // taken before resolving, in case the shims require each other.
+    dependencies[target] = {}
+    dependencies[target] = yield* resolveModule({
+      name: target,
+      pkgRoot: pkgRoot,
+      strict: opts.strict,
+      shims: shimTable,
+      resolveShim: resolveShim
+    })
+  }
 
   function* parseComponent(fpath) {
     var code = yield readFile(fpath, encoding)
@@ -161,35 +377,44 @@ function* parseMap(opts) {
 
     return {
       id: id,
-      dependencies: matchRequire.findAll(code)
+      dependencies: esModule.findAll(code)
     }
   }
 
-  function* resolveComponent(result, meta) {
+  function* resolveComponent(meta) {
     for (var i = 0, len = meta.dependencies.length; i < len; i++) {
       var name = meta.dependencies[i]
 
+      // replaced in the browser field of package.json
+      if (browser && browser.hasOwnProperty(name)) {
+        if (browser[name] === false) continue
+        name = browser[name]
+      }
+
       // required by relative path. must be a component rather than node_module.
-      if (name.charAt(0) === '.' || name in result) continue
+      if (name.charAt(0) === '.') continue
 
       // exists in components dir.
       if (yield* findComponent(name + '.js', paths)) continue
 
+      var mod = resolve.split(name)
+
       // local module
-      if (name === pkg.name) continue
+      if (mod.name === pkg.name) continue
 
-      var version = (pkg.dependencies && pkg.dependencies[name]) ||
-        (pkg.devDependencies && pkg.devDependencies[name])
+      var version = (pkg.dependencies && pkg.dependencies[mod.name]) ||
+        (pkg.devDependencies && pkg.devDependencies[mod.name])
 
       // specified in package.json.
       if (version) {
-        result[name] = yield* resolveModule({ name: name, root: root})
+        var entries = required[mod.name] || (required[mod.name] = [])
+        if (mod.entry && entries.indexOf(mod.entry) < 0) entries.push(mod.entry)
+      } else if (shimTable.hasOwnProperty(mod.name)) {
+        yield* resolveShim(mod.name, meta.id)
       } else {
         unmetDependency(name, meta.id)
       }
     }
-
-    return result
   }
 
   for (var i = 0; i < paths.length; i++) {
@@ -206,15 +431,34 @@ function* parseMap(opts) {
     if (opts.serveSelf) {
       dependencies[pkg.name] = yield* resolveModule({
         name: pkg.name,
-        pkgRoot: root
+        pkgRoot: root,
+        strict: opts.strict,
+        shims: shimTable,
+        resolveShim: resolveShim
       })
     }
 
     for (var j = 0, len = components.length; j < len; j++) {
-      yield* resolveComponent(dependencies, components[j])
+      yield* resolveComponent(components[j])
     }
   }
 
+  for (var name in required) {
+    dependencies[name] = yield* resolveModule({
+      name: name,
+      root: root,
+      range: (pkg.dependencies || {})[name] || (pkg.devDependencies || {})[name],
+      dependent: pkg.name,
+      strict: opts.strict,
+      entries: required[name],
+      shims: shimTable,
+      resolveShim: resolveShim
+    })
+  }
+
+  if (opts.dedupe) dedupe(dependencies)
+  duplicateVersions(dependencies)
+
   return dependencies
 }
 
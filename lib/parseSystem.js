@@ -4,6 +4,8 @@
  * @module
  */
 
+const browserField = require('./browserField')
+
 
 function flat(deps) {
   return Object.keys(deps).reduce(function(result, name) {
@@ -24,6 +26,12 @@ function parseModules(dependenciesMap) {
     if (!/^(?:\.\/)?index(?:.js)?$/.test(data.main)) {
       version.main = data.main
     }
+    if (data.browser) {
+      version.browser = data.browser
+    }
+    if (data.alias) {
+      version.alias = data.alias
+    }
     if (data.dependencies && Object.keys(data.dependencies).length) {
       version.dependencies = flat(data.dependencies)
     }
@@ -52,12 +60,14 @@ function parseModules(dependenciesMap) {
  *
  * @returns {System}          system
  */
-function parseSystem({ name, version, main }, dependenciesMap) {
+function parseSystem({ name, version, main, browser }, dependenciesMap) {
   const modules = parseModules(dependenciesMap)
+  const replacements = browserField.parse(browser)
 
   modules[name] = {
     [version]: { dependencies: flat(dependenciesMap) }
   }
+  if (replacements) modules[name][version].browser = replacements
 
   return {
     name,
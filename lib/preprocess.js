@@ -0,0 +1,116 @@
+'use strict'
+
+/**
+ * The stylesheets written in Sass or Less, which are compiled into css before
+ * the imports and the prefixes are processed by postcss. The preprocessors are
+ * required only when such stylesheets are found, hence they need to be
+ * installed by the projects that use them.
+ *
+ * @module
+ */
+
+const path = require('path')
+
+const fs = require('./fs')
+
+const EXTENSIONS = ['.scss', '.less']
+
+
+/*
+ * Require the preprocessor. Only the preprocessor itself missing is told to be
+ * installed, the errors thrown while loading it are thrown as is.
+ */
+function load(name, fpath) {
+  try {
+    return require(name)
+  } catch (err) {
+    if (err.code === 'MODULE_NOT_FOUND' && err.message.indexOf(`Cannot find module '${name}'`) === 0) {
+      throw new Error(`Please install ${name} to compile ${fpath}`)
+    }
+    throw err
+  }
+}
+
+function renderSass(fpath, includePaths) {
+  const sass = load('sass', fpath)
+
+  return new Promise(function(resolve, reject) {
+    sass.render({
+      file: fpath,
+      includePaths,
+      // the map is generated only if outFile is set, which is never written.
+      outFile: fpath.replace(/\.scss$/, '.css'),
+      sourceMap: true,
+      sourceMapContents: true,
+      omitSourceMapUrl: true
+    }, function(err, result) {
+      if (err) return reject(new Error(`${err.message} in ${err.file || fpath}:${err.line}`))
+
+      resolve({
+        css: result.css.toString(),
+        map: JSON.parse(result.map.toString()),
+        files: result.stats.includedFiles.slice()
+      })
+    })
+  })
+}
+
+function* renderLess(fpath, paths) {
+  const less = load('less', fpath)
+  const source = yield fs.readFile(fpath, 'utf8')
+  const result = yield less.render(source, {
+    filename: fpath,
+    paths,
+    sourceMap: { outputSourceFiles: true }
+  })
+
+  const map = JSON.parse(result.map)
+
+  // the sources are absolute paths, which are made relative as the ones of sass
+  map.sources = map.sources.map(function(file) {
+    return path.relative(path.dirname(fpath), file).split(path.sep).join('/')
+  })
+
+  return { css: result.css, map, files: [fpath].concat(result.imports) }
+}
+
+
+/**
+ * @param {string} file
+ *
+ * @returns {string[]} The files that might be compiled into the stylesheet, such as `main.scss` of `main.css`
+ */
+function alternatives(file) {
+  if (path.extname(file) !== '.css') return [file]
+
+  return [file].concat(EXTENSIONS.map(function(ext) {
+    return file.replace(/\.css$/, ext)
+  }))
+}
+
+
+/**
+ * Read the stylesheet, which is compiled into css first if it's Sass or Less.
+ *
+ * @param {string}    fpath
+ * @param {Object}    opts
+ * @param {string}    opts.root
+ * @param {string[]}  opts.paths  Where the imports are looked up, besides node_modules
+ *
+ * @yield {Object} `{ css, map, files }`, the map is null unless preprocessed, and
+ *   the files are the ones read, including the imported ones
+ */
+function* preprocess(fpath, opts) {
+  const ext = path.extname(fpath)
+  const includePaths = [ path.join(opts.root, 'node_modules') ].concat(opts.paths)
+
+  if (ext === '.scss') return yield renderSass(fpath, includePaths)
+  if (ext === '.less') return yield* renderLess(fpath, includePaths)
+
+  return { css: yield fs.readFile(fpath, 'utf8'), map: null, files: [fpath] }
+}
+
+
+exports.extensions = EXTENSIONS
+exports.alternatives = alternatives
+exports.preprocess = preprocess
@@ -0,0 +1,82 @@
+'use strict'
+
+/**
+ * The `process.env.X` in components and modules, which are replaced with the
+ * values configured before the code is minified, hence the branches like
+ * `if (process.env.NODE_ENV !== 'production')` can be stripped.
+ *
+ * @module
+ */
+
+// The comments, strings, template literals, braces, `process.env.X`, and the
+// other words, which are matched in turn to leave out the ones in comments or
+// strings, the properties like `foo.process.env.X`, and the assignments.
+const RE_TOKEN = new RegExp([
+  /\/\/.*|\/\*[\s\S]*?\*\//.source,
+  /'(?:\\[\s\S]|[^\\'\n])*'|"(?:\\[\s\S]|[^\\"\n])*"|`/.source,
+  /[{}]/.source,
+  /(\.\s*)?process\.env\.([a-zA-Z_$][\w$]*)(?!\s*(?:[-+*/%&|^]|\*\*|<<|>>>?)?=(?!=)|\s*(?:\+\+|--))/.source,
+  /[\w$]+/.source
+].join('|'), 'g')
+
+// The text of template literal till its end or the next `${`
+const RE_TEMPLATE = /(?:\\[\s\S]|[^\\`$]|\$(?!\{))*(`|\$\{)/y
+
+
+/**
+ * @param {Object}  [env]      The values configured, such as `{ NODE_ENV: 'production' }`
+ * @param {string}   nodeEnv   The NODE_ENV if neither configured nor set in process.env
+ *
+ * @returns {Object}
+ */
+function normalize(env, nodeEnv) {
+  return Object.assign({ NODE_ENV: process.env.NODE_ENV || nodeEnv }, env)
+}
+
+
+/**
+ * Replace the `process.env.X` configured with its value. The rest are left
+ * as is, so are the ones in comments or strings, and the ones assigned to.
+ * The replacement doesn't span lines, hence the lines in source map stay the
+ * same.
+ *
+ * @param {string} code
+ * @param {Object} env
+ *
+ * @returns {string}
+ */
+function replace(code, env) {
+  if (code.indexOf('process.env.') < 0) return code
+
+  // the braces opened, `${` if it's the substitution in template literal
+  const braces = []
+  let result = ''
+  let index = 0
+  let m
+
+  RE_TOKEN.lastIndex = 0
+  while ((m = RE_TOKEN.exec(code))) {
+    const token = m[0]
+
+    if (token === '`' || (token === '}' && braces.pop() === '${')) {
+      RE_TEMPLATE.lastIndex = RE_TOKEN.lastIndex
+      const template = RE_TEMPLATE.exec(code)
+      if (!template) break
+      if (template[1] === '${') braces.push('${')
+      RE_TOKEN.lastIndex = RE_TEMPLATE.lastIndex
+    }
+    else if (token === '{') {
+      braces.push(token)
+    }
+    else if (m[2] && !m[1] && env.hasOwnProperty(m[2])) {
+      result += code.slice(index, m.index) + JSON.stringify(env[m[2]])
+      index = RE_TOKEN.lastIndex
+    }
+  }
+
+  return result + code.slice(index)
+}
+
+
+exports.normalize = normalize
+exports.replace = replace
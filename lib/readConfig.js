@@ -0,0 +1,35 @@
+'use strict'
+
+/**
+ * @module
+ */
+
+const path = require('path')
+const fs = require('./fs')
+
+
+/**
+ * Read the options of oceanify from `oceanify.config.js` in root, or the
+ * `oceanify` section in package.json if the former does not exist.
+ *
+ * @param {string} root
+ *
+ * @returns {Object} config
+ */
+function readConfig(root) {
+  const fpath = path.join(root, 'oceanify.config.js')
+
+  if (fs.existsSync(fpath)) {
+    return Object.assign({}, require(fpath))
+  }
+
+  const pkgPath = path.join(root, 'package.json')
+  const pkg = fs.existsSync(pkgPath)
+    ? JSON.parse(fs.readFileSync(pkgPath, 'utf8'))
+    : {}
+
+  return Object.assign({}, pkg.oceanify)
+}
+
+
+module.exports = readConfig
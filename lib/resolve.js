@@ -0,0 +1,72 @@
+'use strict'
+
+/**
+ * Resolve the files required in modules the same way as Node, hence the
+ * directories with index.js, the subpaths like `lodash/map`, and the files
+ * with extensions other than `.js` can be required.
+ *
+ * @module
+ */
+
+const path = require('path')
+
+const fs = require('./fs')
+
+
+function* isFile(fpath) {
+  if (!(yield fs.exists(fpath))) return false
+  return (yield fs.stat(fpath)).isFile()
+}
+
+
+/**
+ * Find the file required, which is tried as is, with `.js` or `.json`
+ * appended, and then as a directory with package.json or index.js in it.
+ *
+ * @param {string} dir    The root of the package
+ * @param {string} entry  The file required, relative to dir, such as `lib` or `lib/foo.json`
+ *
+ * @yield {string|undefined} The file found, relative to dir, such as `lib/index.js`
+ */
+function* file(dir, entry) {
+  entry = path.normalize(entry).replace(/^\.\//, '')
+
+  const candidates = [ entry, `${entry}.js`, `${entry}.json` ]
+
+  for (let i = 0; i < candidates.length; i++) {
+    if (yield* isFile(path.join(dir, candidates[i]))) return candidates[i]
+  }
+
+  const pkgPath = path.join(dir, entry, 'package.json')
+
+  if (yield* isFile(pkgPath)) {
+    const main = JSON.parse(yield fs.readFile(pkgPath, 'utf8')).main
+    const target = main && path.join(entry, main)
+    const result = target && target !== entry && (yield* file(dir, target))
+    if (result) return result
+  }
+
+  for (const index of ['index.js', 'index.json']) {
+    if (yield* isFile(path.join(dir, entry, index))) return path.join(entry, index)
+  }
+}
+
+
+/**
+ * @param {string} name  The module required, such as `lodash/map` or `@my/util/lib/foo`
+ *
+ * @returns {Object} `{ name, entry }`, the entry is empty if the main is required
+ */
+function split(name) {
+  const parts = name.split('/')
+  const count = name.charAt(0) === '@' ? 2 : 1
+
+  return {
+    name: parts.slice(0, count).join('/'),
+    entry: parts.slice(count).join('/')
+  }
+}
+
+
+exports.file = file
+exports.split = split
@@ -0,0 +1,89 @@
+'use strict'
+
+/**
+ * The Node built-ins required by components and modules, which are replaced
+ * with the packages that implement them in browser, or with an empty module if
+ * replaced with `false`.
+ *
+ * @module
+ */
+
+/**
+ * The same as the ones of browserify. Some of the packages are dependencies of
+ * oceanify, the rest need to be installed by the projects that use them.
+ */
+const DEFAULTS = {
+  assert: 'assert',
+  buffer: 'buffer',
+  child_process: false,
+  cluster: false,
+  console: 'console-browserify',
+  constants: 'constants-browserify',
+  crypto: 'crypto-browserify',
+  dgram: false,
+  dns: false,
+  domain: 'domain-browser',
+  events: 'events',
+  fs: false,
+  http: 'stream-http',
+  https: 'https-browserify',
+  module: false,
+  net: false,
+  os: 'os-browserify',
+  path: 'path-browserify',
+  punycode: 'punycode',
+  querystring: 'querystring-es3',
+  readline: false,
+  repl: false,
+  stream: 'stream-browserify',
+  string_decoder: 'string_decoder',
+  sys: 'util',
+  timers: 'timers-browserify',
+  tls: false,
+  tty: 'tty-browserify',
+  url: 'url',
+  util: 'util',
+  vm: 'vm-browserify',
+  zlib: 'browserify-zlib'
+}
+
+
+/**
+ * Merge the shims configured into the default ones. A built-in can be left out
+ * by setting it to null, which makes it an unmet dependency again.
+ *
+ * @param {Object} [shims]  Such as `{ crypto: false, path: 'path-browserify' }`
+ *
+ * @returns {Object}
+ */
+function normalize(shims) {
+  const result = Object.assign({}, DEFAULTS, shims)
+
+  for (const name in result) {
+    if (result[name] == null) delete result[name]
+  }
+
+  return result
+}
+
+
+/**
+ * Pick the shims the loader needs, which are the ones replaced with false and
+ * the ones whose packages are in the dependencies map.
+ *
+ * @param {Object}           shims            The shims normalized
+ * @param {DependenciesMap}  dependenciesMap
+ *
+ * @returns {Object}
+ */
+function pick(shims, dependenciesMap) {
+  return Object.keys(shims).reduce(function(result, name) {
+    const target = shims[name]
+    if (target === false || target in dependenciesMap) result[name] = target
+    return result
+  }, {})
+}
+
+
+exports.normalize = normalize
+exports.pick = pick
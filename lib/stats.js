@@ -0,0 +1,272 @@
+'use strict'
+
+/**
+ * @module
+ */
+
+const path = require('path')
+const zlib = require('zlib')
+const UglifyJS = require('uglify-es')
+
+const fs = require('./fs')
+const manifest = require('./manifest')
+const mkdirp = require('./mkdirp')
+const parseId = require('./parseId')
+
+// the statements that are neither modules nor the loader, such as the
+// oceanify.config() and oceanify.import() appended to main components.
+const OTHERS = '(others)'
+
+
+/**
+ * @typedef  {BundleStats}
+ * @type     {Object}
+ * @property {number}   raw       The bytes of the sources
+ * @property {number}   minified  The bytes of the compiled javascript
+ * @property {number}   gzip      The bytes of the compiled javascript gzipped
+ * @property {Object[]} modules   The sizes of each module, largest first
+ */
+
+function flatten(node) {
+  if (node instanceof UglifyJS.AST_SimpleStatement) return flatten(node.body)
+  if (node instanceof UglifyJS.AST_Sequence) {
+    return node.expressions.reduce((result, expr) => result.concat(flatten(expr)), [])
+  }
+  return [node]
+}
+
+function defineId(node) {
+  return node instanceof UglifyJS.AST_Call &&
+    node.expression instanceof UglifyJS.AST_SymbolRef &&
+    node.expression.name === 'define' &&
+    node.args[0] instanceof UglifyJS.AST_String
+    ? node.args[0].value
+    : ''
+}
+
+function packageOf(id) {
+  if (id === 'loader') return 'oceanify'
+  if (id === OTHERS) return ''
+
+  const mod = parseId(id)
+  return mod.version ? `${mod.name}@${mod.version}` : mod.name
+}
+
+function gzipSize(code) {
+  return zlib.gzipSync(code).length
+}
+
+
+/**
+ * Measure the modules in the compressed and mangled ast. Consecutive
+ * statements are joined into sequences by the compressor, hence the sequences
+ * are flattened and each of the expressions is printed alone.
+ *
+ * @param {Source[]} sources
+ * @param {uAST}     ast
+ * @param {string}   js       The compiled javascript
+ *
+ * @returns {BundleStats}
+ */
+function collect(sources, ast, js) {
+  const fileIds = {}
+  const modules = {}
+
+  function measure(id) {
+    return modules[id] || (modules[id] = {
+      id,
+      package: packageOf(id),
+      raw: 0,
+      minified: 0,
+      gzip: 0
+    })
+  }
+
+  for (let i = 0; i < sources.length; i++) {
+    const source = sources[i]
+    const id = source.id || OTHERS
+
+    if (source.filename) fileIds[source.filename] = id
+    measure(id).raw += Buffer.byteLength(source.code)
+  }
+
+  ast.body.forEach(function(statement) {
+    flatten(statement).forEach(function(node) {
+      const code = node.print_to_string({ ascii_only: true, ie8: true })
+      const file = node.start && node.start.file
+      const mod = measure(defineId(node) || fileIds[file] || OTHERS)
+
+      mod.minified += Buffer.byteLength(code)
+      mod.gzip += gzipSize(code)
+    })
+  })
+
+  return {
+    raw: sources.reduce((size, source) => size + Buffer.byteLength(source.code), 0),
+    minified: Buffer.byteLength(js),
+    gzip: gzipSize(js),
+    modules: Object.keys(modules).map(id => modules[id]).sort(function(a, b) {
+      return b.minified - a.minified
+    })
+  }
+}
+
+
+/*
+ * Whether the bundle is still in dest, whose file is named after the id with
+ * `.js` appended unless it's a JSON or text module, or fingerprinted and
+ * recorded in manifest.json.
+ */
+function isCompiled(dest, id, files) {
+  return [`${id}.js`, id].some(function(file) {
+    const fpath = path.join(dest, files[file] || file)
+    return fs.existsSync(fpath) && fs.statSync(fpath).isFile()
+  })
+}
+
+
+/**
+ * Merge the stats of bundles into stats.json in dest, in the same manner as
+ * manifest.update(). The entries of the bundles no longer in dest, such as the
+ * ones removed or renamed, are dropped.
+ *
+ * @param {string} dest
+ * @param {Object} bundles
+ */
+function* update(dest, bundles) {
+  yield mkdirp(dest)
+
+  const fpath = path.join(dest, 'stats.json')
+  const stats = fs.existsSync(fpath)
+    ? JSON.parse(fs.readFileSync(fpath, 'utf8'))
+    : {}
+  const files = manifest.read(dest)
+
+  for (const id of Object.keys(stats)) {
+    if (!isCompiled(dest, id, files)) delete stats[id]
+  }
+
+  Object.assign(stats, bundles)
+  fs.writeFileSync(fpath, JSON.stringify(stats, null, 2))
+}
+
+
+function formatSize(bytes) {
+  return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(2)} KB`
+}
+
+function formatDelta(bytes) {
+  return (bytes > 0 ? '+' : bytes < 0 ? '-' : '') + formatSize(Math.abs(bytes))
+}
+
+function table(rows) {
+  const widths = rows[0].map(function(cell, i) {
+    return Math.max.apply(null, rows.map(row => row[i].length))
+  })
+
+  return rows.map(function(row) {
+    return row.map(function(cell, i) {
+      const padding = ' '.repeat(widths[i] - cell.length)
+      // the first column is left aligned, the rest are numbers.
+      return i === 0 ? cell + padding : padding + cell
+    }).join('  ').replace(/\s+$/, '')
+  }).join('\n')
+}
+
+
+/**
+ * @param {Object} stats  The stats of bundles, such as the content of stats.json
+ *
+ * @returns {string} A table of the modules in each bundle
+ */
+function toTable(stats) {
+  return Object.keys(stats).sort().map(function(id) {
+    const bundle = stats[id]
+    const rows = [['module', 'package', 'raw', 'minified', 'gzip']]
+
+    bundle.modules.forEach(function(mod) {
+      rows.push([mod.id, mod.package, formatSize(mod.raw), formatSize(mod.minified), formatSize(mod.gzip)])
+    })
+    rows.push(['total', '', formatSize(bundle.raw), formatSize(bundle.minified), formatSize(bundle.gzip)])
+
+    return `${id}\n${table(rows)}\n`
+  }).join('\n')
+}
+
+
+/**
+ * Compare the stats of the same bundles, and list the modules that are added,
+ * removed, or changed in size.
+ *
+ * @param {Object} before
+ * @param {Object} after
+ *
+ * @returns {Object[]} changes  `{ bundle, id, before, after, delta }`, where
+ *   before and after are the minified sizes, and the id of the bundle totals
+ *   is null.
+ */
+function diff(before, after) {
+  const changes = []
+  const bundleIds = Object.keys(Object.assign({}, before, after)).sort()
+
+  function sizes(bundle) {
+    return (bundle ? bundle.modules : []).reduce(function(result, mod) {
+      result[mod.id] = mod.minified
+      return result
+    }, {})
+  }
+
+  function push(bundle, id, a, b) {
+    if (a !== b) changes.push({ bundle, id, before: a, after: b, delta: (b || 0) - (a || 0) })
+  }
+
+  bundleIds.forEach(function(bundleId) {
+    const a = sizes(before[bundleId])
+    const b = sizes(after[bundleId])
+
+    push(bundleId, null,
+      before[bundleId] ? before[bundleId].minified : undefined,
+      after[bundleId] ? after[bundleId].minified : undefined)
+
+    Object.keys(Object.assign({}, a, b)).sort().forEach(function(id) {
+      push(bundleId, id, a[id], b[id])
+    })
+  })
+
+  return changes
+}
+
+
+/**
+ * @param {Object[]} changes  The result of diff()
+ *
+ * @returns {string}
+ */
+function toDiffTable(changes) {
+  if (!changes.length) return 'No changes'
+
+  const rows = [['bundle / module', 'before', 'after', 'delta']]
+  let lastBundle
+
+  changes.forEach(function(change) {
+    if (change.id !== null && change.bundle !== lastBundle) {
+      rows.push([change.bundle, '', '', ''])
+    }
+    lastBundle = change.bundle
+    rows.push([
+      change.id === null ? change.bundle : `  ${change.id}`,
+      change.before === undefined ? '-' : formatSize(change.before),
+      change.after === undefined ? '-' : formatSize(change.after),
+      formatDelta(change.delta)
+    ])
+  })
+
+  return table(rows)
+}
+
+
+exports.collect = collect
+exports.update = update
+exports.toTable = toTable
+exports.diff = diff
+exports.toDiffTable = toDiffTable
@@ -0,0 +1,113 @@
+'use strict'
+
+/**
+ * @module
+ */
+
+const path = require('path')
+const co = require('co')
+const postcss = require('postcss')
+const mime = require('mime')
+
+const fs = require('./fs')
+const mkdirp = require('./mkdirp')
+const manifest = require('./manifest')
+
+const RE_URL = /url\(\s*(['"]?)([^'")]+)\1\s*\)/g
+const RE_EXTERNAL = /^(?:[a-z][a-z0-9+.-]*:|\/|#)/i
+
+
+/**
+ * Copy the asset into dest with the fingerprint in file name, or encode it
+ * into data uri if it's small enough.
+ *
+ * @param {string}  fpath
+ * @param {Object}  opts
+ * @param {string}  opts.assetsDir
+ * @param {number} [opts.inlineLimit=0]
+ *
+ * @yield {string} The data uri, or the path of the copied asset
+ */
+function* copyAsset(fpath, { assetsDir, inlineLimit }) {
+  const content = yield fs.readFile(fpath)
+
+  if (content.length <= (inlineLimit || 0)) {
+    return `data:${mime.lookup(fpath)};base64,${content.toString('base64')}`
+  }
+
+  const ext = path.extname(fpath)
+  const destPath = path.join(assetsDir,
+    `${path.basename(fpath, ext)}-${manifest.fingerprint(content)}${ext}`)
+
+  if (!(yield fs.exists(destPath))) {
+    yield mkdirp(assetsDir)
+    yield fs.writeFile(destPath, content)
+  }
+
+  return destPath
+}
+
+
+/**
+ * Resolve the `url()` in declarations relative to the stylesheet they are
+ * from, which might be imported from node_modules, and rewrite them to the
+ * assets copied into dest. The urls that are absolute or remote are left as
+ * is, so are the ones that can't be found.
+ *
+ * @param {Object}  opts
+ * @param {string}  opts.file         The full path of the stylesheet processed
+ * @param {string}  opts.from         The from option passed to postcss
+ * @param {string}  opts.to           The full path of the compiled stylesheet
+ * @param {string}  opts.assetsDir    Where the assets are copied to
+ * @param {number} [opts.inlineLimit]  The assets no larger than this will be inlined as data uri
+ */
+const styleAssets = postcss.plugin('oceanify-assets', function(opts) {
+  // The from option is resolved from cwd by postcss, which might not be the
+  // root the stylesheet is relative to.
+  function sourceOf(node) {
+    const file = node.source && node.source.input.file
+    return !file || file === path.resolve(opts.from) ? opts.file : file
+  }
+
+  return function(root, result) {
+    const jobs = []
+
+    root.walkDecls(function(decl) {
+      if (decl.value.indexOf('url(') < 0) return
+
+      const dir = path.dirname(sourceOf(decl))
+      const urls = {}
+
+      decl.value.replace(RE_URL, function(m, quote, url) {
+        if (!RE_EXTERNAL.test(url)) urls[url] = null
+        return m
+      })
+
+      jobs.push(co(function* () {
+        for (const url in urls) {
+          const [ file, suffix ] = url.match(/^([^?#]*)(.*)$/).slice(1)
+          const fpath = path.resolve(dir, file)
+
+          if (!(yield fs.exists(fpath))) {
+            result.warn(`Cannot find ${url} in ${dir}`, { node: decl })
+            continue
+          }
+
+          const asset = yield* copyAsset(fpath, opts)
+          urls[url] = asset.startsWith('data:')
+            ? asset
+            : path.relative(path.dirname(opts.to), asset).split(path.sep).join('/') + suffix
+        }
+
+        decl.value = decl.value.replace(RE_URL, function(m, quote, url) {
+          return urls[url] ? `url(${quote}${urls[url]}${quote})` : m
+        })
+      }))
+    })
+
+    return Promise.all(jobs)
+  }
+})
+
+
+module.exports = styleAssets
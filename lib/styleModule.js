@@ -0,0 +1,143 @@
+'use strict'
+
+/**
+ * The stylesheets required by components, such as `require('./nav.css')`.
+ * They are either inlined as modules that append `<style>` to the page, or
+ * extracted into a stylesheet next to the bundle.
+ *
+ * The class names in `.module.css` are scoped to the file, and the module
+ * exports the map of the class names, such as `{ button: 'button_3e1f5c' }`.
+ *
+ * @module
+ */
+
+const path = require('path')
+const crypto = require('crypto')
+const postcss = require('postcss')
+const atImport = require('postcss-import')
+const autoprefixer = require('autoprefixer')
+const cssnano = require('cssnano')
+
+const fs = require('./fs')
+const browsers = require('./browsers')
+
+const RE_MODULE = /\.module\.css$/
+const RE_CLASS = /:global\(([^)]*)\)|\.(-?[_a-zA-Z][\w-]*)/g
+
+
+/**
+ * @param {string} fpath
+ *
+ * @returns {boolean} Whether the class names in the stylesheet are scoped
+ */
+function isModule(fpath) {
+  return RE_MODULE.test(fpath)
+}
+
+
+/**
+ * Rename the classes with the hash of the file, which is the same in the
+ * middleware and the compiled stylesheets. The classes wrapped with
+ * `:global()` are left as is.
+ *
+ * @param {Object} opts
+ * @param {string} opts.file     The file relative to root
+ * @param {Object} opts.classes  The map of the class names will be stored here
+ */
+const scope = postcss.plugin('oceanify-scope', function(opts) {
+  const hash = crypto.createHash('md5').update(opts.file.split(path.sep).join('/'))
+    .digest('hex').slice(0, 6)
+
+  return function(root) {
+    root.walkRules(function(rule) {
+      if (rule.parent.type === 'atrule' && /keyframes$/.test(rule.parent.name)) return
+
+      rule.selector = rule.selector.replace(RE_CLASS, function(m, global, name) {
+        if (global) return global
+        opts.classes[name] = `${name}_${hash}`
+        return `.${opts.classes[name]}`
+      })
+    })
+  }
+})
+
+
+/**
+ * Minify the stylesheet while keeping the vendor prefixes, which are added
+ * already by autoprefixer with the browsers configured. The transforms that
+ * are not safe, such as rebasing z-index or renaming keyframes, are skipped.
+ *
+ * @returns {Object} The postcss plugin
+ */
+function minifier() {
+  return cssnano({ safe: true, autoprefixer: false })
+}
+
+
+/**
+ * Process the stylesheet in the same way as compileStyleSheets(), with the
+ * imports inlined and the vendor prefixes added.
+ *
+ * @param {string}           fpath
+ * @param {Object}           opts
+ * @param {string}           opts.root
+ * @param {string[]}         opts.paths      Where the imports are looked up
+ * @param {string|string[]} [opts.browsers]  The browsers to prefix for, see browsers()
+ * @param {boolean}         [opts.minify]    Minify the stylesheet
+ *
+ * @yield {Object} `{ css, classes }`, the classes is null unless it's .module.css
+ */
+function* compile(fpath, opts) {
+  const source = yield fs.readFile(fpath, 'utf8')
+  const classes = isModule(fpath) ? {} : null
+  const processor = postcss()
+    .use(atImport({
+      path: [ path.join(opts.root, 'node_modules') ].concat(opts.paths)
+    }))
+
+  if (classes) {
+    processor.use(scope({ file: path.relative(opts.root, fpath), classes }))
+  }
+
+  processor.use(autoprefixer({ browsers: browsers(opts.root, opts.browsers) }))
+  if (opts.minify) processor.use(minifier())
+
+  const result = yield processor.process(source, { from: fpath })
+
+  return { css: result.css, classes }
+}
+
+
+/**
+ * @param {string}   css      The css to append to the page, if not extracted
+ * @param {Object}  [classes] The class names to export
+ * @param {boolean} [hot]     Remove the appended css when the module is updated
+ *
+ * @returns {string} The factory code of the stylesheet module
+ */
+function factory(css, classes, hot) {
+  // IE8 does not allow appending text nodes to <style>
+  const code = css ? [
+    'var head = document.head || document.getElementsByTagName(\'head\')[0]',
+    'var style = document.createElement(\'style\')',
+    `var css = ${JSON.stringify(css)}`,
+    'head.appendChild(style)',
+    'if (style.styleSheet) style.styleSheet.cssText = css',
+    'else style.appendChild(document.createTextNode(css))'
+  ] : []
+
+  if (css && hot) {
+    code.push('if (module.hot) module.hot.dispose(function() { head.removeChild(style) })')
+  }
+
+  if (classes) code.push(`module.exports = ${JSON.stringify(classes)}`)
+
+  return code.join('\n')
+}
+
+
+exports.isModule = isModule
+exports.scope = scope
+exports.minifier = minifier
+exports.compile = compile
+exports.factory = factory
@@ -0,0 +1,57 @@
+'use strict'
+
+/**
+ * The files other than javascript that can be required as modules. JSON files
+ * export the parsed object, and text files such as templates export strings.
+ *
+ * @module
+ */
+
+const path = require('path')
+
+const TEXT_EXTENSIONS = ['.html', '.tpl']
+
+
+/**
+ * @param {string[]} [textExtensions=['.html', '.tpl']]
+ *
+ * @returns {string[]} The extensions of the files to be required as modules besides .js
+ */
+function extensions(textExtensions) {
+  return ['.json'].concat(textExtensions || TEXT_EXTENSIONS)
+}
+
+
+/**
+ * @param {string}    file
+ * @param {string[]}  exts   The result of extensions()
+ *
+ * @returns {boolean}
+ */
+function test(file, exts) {
+  return exts.indexOf(path.extname(file)) >= 0
+}
+
+
+/**
+ * @param {string} fpath
+ * @param {string} content
+ *
+ * @returns {string} The factory code that exports the content
+ */
+function factory(fpath, content) {
+  if (path.extname(fpath) !== '.json') {
+    return `module.exports = ${JSON.stringify(content)}`
+  }
+
+  try {
+    return `module.exports = ${JSON.stringify(JSON.parse(content))}`
+  } catch (err) {
+    throw new Error(`${err.message} in ${fpath}`)
+  }
+}
+
+
+exports.extensions = extensions
+exports.test = test
+exports.factory = factory
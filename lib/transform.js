@@ -0,0 +1,215 @@
+'use strict'
+
+/**
+ * @module
+ */
+
+const path = require('path')
+const minimatch = require('minimatch')
+const { SourceMapConsumer, SourceMapGenerator } = require('source-map')
+
+const esModule = require('./esModule')
+const processEnv = require('./processEnv')
+
+
+/**
+ * @typedef  {Transform}
+ * @type     {Object}
+ * @property {Function}  transform  `(source, { id, filename, isModule, root })` that returns the new source,
+ *                                  `{ code, map }`, or a promise of them
+ * @property {string[]}  match      The globs relative to root, the ones prefixed with `!` are excluded
+ * @property {string}    root
+ *
+ * @typedef  {TransformResult}
+ * @type     {Object}
+ * @property {string}  code
+ * @property {Object} [map]  The source map of the code, if every transform that changed the code returned one
+ */
+
+function isNormalized(item) {
+  return item && typeof item.transform === 'function' &&
+    Array.isArray(item.match) && typeof item.root === 'string'
+}
+
+function load(name, root) {
+  return require(name.charAt(0) === '.'
+    ? path.resolve(root, name)
+    : path.join(root, 'node_modules', name))
+}
+
+
+/**
+ * Normalize `opts.transforms`, which might be a list of functions, module
+ * names, or `{ transform, match }` to scope the transform to some files:
+ *
+ *     [
+ *       'oceanify-babel',
+ *       { transform: jsx, match: ['components/**', '!components/vendor/**'] }
+ *     ]
+ *
+ * The module names and the globs are resolved from root. The transforms
+ * normalized already are returned as is, hence it's safe to be called again.
+ *
+ * @param {Array}   transforms
+ * @param {string}  root
+ *
+ * @returns {Transform[]}
+ */
+function normalize(transforms, root) {
+  return [].concat(transforms || []).map(function(item) {
+    if (isNormalized(item)) return item
+    if (typeof item === 'string' || typeof item === 'function') {
+      item = { transform: item }
+    }
+
+    const fn = typeof item.transform === 'string'
+      ? load(item.transform, root)
+      : item.transform
+
+    if (typeof fn !== 'function') {
+      throw new Error(`Transform ${item.transform} is not a function`)
+    }
+
+    return { transform: fn, match: [].concat(item.match || []), root }
+  })
+}
+
+
+/**
+ * @param {Transform} item
+ * @param {string}    fpath
+ *
+ * @returns {boolean}
+ */
+function matches(item, fpath) {
+  const file = path.relative(item.root, fpath)
+  const includes = item.match.filter(pattern => pattern.charAt(0) !== '!')
+  const excludes = item.match.filter(pattern => pattern.charAt(0) === '!')
+
+  return (!includes.length || includes.some(pattern => minimatch(file, pattern))) &&
+    excludes.every(pattern => minimatch(file, pattern))
+}
+
+
+/**
+ * Map the generated positions of outer back to the sources of inner, which is
+ * the map of the code outer is generated from.
+ *
+ * @param {Object} outer
+ * @param {Object} inner
+ * @param {string} file   The source of outer that inner maps
+ *
+ * @returns {Object}
+ */
+function compose(outer, inner, file) {
+  const generator = SourceMapGenerator.fromSourceMap(new SourceMapConsumer(outer))
+
+  generator.applySourceMap(new SourceMapConsumer(inner), file)
+  return generator.toJSON()
+}
+
+
+/**
+ * Move the generated positions of the map down by lines, such as when the
+ * code is appended to the loader.
+ *
+ * @param {Object} map
+ * @param {number} lines
+ *
+ * @returns {Object}
+ */
+function shift(map, lines) {
+  const consumer = new SourceMapConsumer(map)
+  const generator = new SourceMapGenerator({ file: map.file })
+
+  consumer.eachMapping(function(mapping) {
+    generator.addMapping({
+      generated: { line: mapping.generatedLine + lines, column: mapping.generatedColumn },
+      original: mapping.source == null ? null : { line: mapping.originalLine, column: mapping.originalColumn },
+      source: mapping.source,
+      name: mapping.name
+    })
+  })
+  consumer.sources.forEach(function(source) {
+    const content = consumer.sourceContentFor(source, true)
+    if (content != null) generator.setSourceContent(source, content)
+  })
+
+  return generator.toJSON()
+}
+
+
+/**
+ * Run the transforms that match the file one by one. The maps returned are
+ * composed into one that maps back to the original source, whose source is
+ * named after the file relative to root.
+ *
+ * The code written with `import` and `export` is converted into CommonJS at
+ * last, after the transforms that might introduce them, such as JSX. So are
+ * the `process.env.X` replaced.
+ *
+ * @param {Transform[]}  transforms
+ * @param {string}       code
+ * @param {Object}       info
+ * @param {string}       info.id
+ * @param {string}       info.filename  The full path of the file
+ * @param {boolean}      info.isModule  Whether the file is in node_modules or not
+ * @param {string}      [info.root]     The root the source in the map is relative to
+ * @param {Object}      [info.env]      The values to replace `process.env.X` with
+ *
+ * @yield {TransformResult}
+ */
+function* apply(transforms, code, info) {
+  let map = null
+  let mapped = true
+
+  for (let i = 0; i < transforms.length; i++) {
+    const item = transforms[i]
+    if (!matches(item, info.filename)) continue
+
+    let result = item.transform(code, Object.assign({}, info))
+    if (result && typeof result.then === 'function') result = yield result
+    if (typeof result === 'string') result = { code: result }
+
+    if (!result || typeof result.code !== 'string') {
+      throw new Error(`Transform ${item.transform.name || i} returned no code for ${info.id}`)
+    }
+
+    if (result.code === code && !result.map) continue
+    code = result.code
+
+    // Without the map of any of the transforms, the positions are lost.
+    if (!result.map) {
+      map = null
+      mapped = false
+    }
+    else if (mapped) {
+      const source = path.relative(item.root, info.filename)
+      const next = Object.assign(
+        {},
+        typeof result.map === 'string' ? JSON.parse(result.map) : result.map,
+        { sources: [source] }
+      )
+      map = map ? compose(next, map, source) : next
+    }
+  }
+
+  if (esModule.test(code)) {
+    const source = path.relative(info.root || path.dirname(info.filename), info.filename)
+    const result = esModule.transform(code, source)
+
+    code = result.code
+    if (mapped) map = map ? compose(result.map, map, source) : result.map
+  }
+
+  if (info.env) code = processEnv.replace(code, info.env)
+
+  return map ? { code, map } : { code }
+}
+
+
+exports.normalize = normalize
+exports.matches = matches
+exports.compose = compose
+exports.shift = shift
+exports.apply = apply
@@ -0,0 +1,79 @@
+'use strict'
+
+/**
+ * @module
+ */
+
+const path = require('path')
+const fs = require('fs')
+const debug = require('debug')('oceanify')
+
+// editors tend to fire several events for one save, wait a little bit before
+// telling the listener.
+const DELAY = 50
+
+
+/**
+ * Watch the directories recursively. `fs.watch(dir, { recursive: true })` is
+ * not supported on Linux, hence the directories are walked and watched one by
+ * one. Directories named node_modules are skipped.
+ *
+ * @param {string|string[]} dirs
+ * @param {Function}        listener  Called with the path of the changed file
+ *
+ * @returns {Object} watcher  Call `watcher.close()` to stop watching
+ */
+function watch(dirs, listener) {
+  const watchers = {}
+  const timers = {}
+
+  function notify(fpath) {
+    clearTimeout(timers[fpath])
+    timers[fpath] = setTimeout(function() {
+      delete timers[fpath]
+      listener(fpath)
+    }, DELAY)
+  }
+
+  function walk(dir) {
+    if (dir in watchers || path.basename(dir) === 'node_modules') return
+
+    try {
+      watchers[dir] = fs.watch(dir, function(event, fname) {
+        if (!fname) return
+        const fpath = path.join(dir, fname)
+        let stats
+
+        try {
+          stats = fs.statSync(fpath)
+        } catch (err) {
+          // removed or renamed, let the listener decide what to do.
+          return notify(fpath)
+        }
+
+        if (stats.isDirectory()) walk(fpath)
+        else notify(fpath)
+      })
+    } catch (err) {
+      debug('Failed to watch %s', dir)
+      return
+    }
+
+    fs.readdirSync(dir).forEach(function(entry) {
+      const fpath = path.join(dir, entry)
+      if (fs.statSync(fpath).isDirectory()) walk(fpath)
+    })
+  }
+
+  [].concat(dirs).forEach(walk)
+
+  return {
+    close() {
+      for (const dir in watchers) watchers[dir].close()
+      for (const fpath in timers) clearTimeout(timers[fpath])
+    }
+  }
+}
+
+
+module.exports = watch
@@ -46,17 +46,37 @@
   var head = doc.head || doc.getElementsByTagName('head')[0] || doc.documentElement
   var baseElement = head.getElementsByTagName('base')[0] || null
 
-  function request(url, callback) {
-    var el = doc.createElement('script')
+  // the stylesheets required by components are fetched with <link>
+  var RE_STYLE = /\.css(?:[?#]|$)/
 
-    onload(el, function(err) {
+  function request(url, callback) {
+    var isStyle = RE_STYLE.test(url)
+    var el = doc.createElement(isStyle ? 'link' : 'script')
+    var timer
+
+    function done(err) {
+      // might be called after timeout
+      if (!el) return
+      clearTimeout(timer)
       el.onload = el.onerror = el.onreadystatechange = null
       // head.removeChild(el)
       el = null
       callback(err)
-    })
-    el.async = true
-    el.src = url
+    }
+
+    onload(el, done)
+    if (system.timeout > 0) {
+      timer = setTimeout(function() {
+        done(new Error('Timeout when fetching ' + url))
+      }, system.timeout)
+    }
+    if (isStyle) {
+      el.rel = 'stylesheet'
+      el.href = url
+    } else {
+      el.async = true
+      el.src = url
+    }
 
     // baseElement cannot be undefined in IE8-.
     head.insertBefore(el, baseElement)
@@ -68,7 +88,7 @@
         callback()
       }
       el.onerror = function() {
-        callback(new Error('Failed to fetch ' + el.src))
+        callback(new Error('Failed to fetch ' + (el.src || el.href)))
       }
     }
     else {
@@ -192,18 +212,39 @@
     context = context || ''
     var entryId = 'import-' + (+new Date()).toString(36)
 
-    return function(ids, fn) {
+    return function(ids, fn, errback) {
+      var single = typeof ids === 'string'
+      if (single) ids = [ids]
       if (!system.base) parseBase(ids[ids.length - 1])
-      if (typeof ids === 'string') ids = [ids]
       var mod = new Module(resolve(context, entryId))
+      var promise, resolveImport, rejectImport
+
+      if (typeof Promise === 'function') {
+        promise = new Promise(function(resolveFn, rejectFn) {
+          resolveImport = resolveFn
+          rejectImport = rejectFn
+        })
+        // errors are handled by errback already
+        if (errback) promise['catch'](function() {})
+      }
 
       mod.dependencies = ids
       mod.factory = function(require) {
+        if (mod.error) return
         var mods = ids.map(function(id) { return require(id) })
         if (fn) fn.apply(null, mods)
+        if (promise) resolveImport(single ? mods[0] : mods)
+      }
+      mod.onerror = function(err) {
+        if (mod.error) return
+        mod.error = err
+        if (errback) errback(err)
+        if (promise) rejectImport(err)
       }
       mod.status = MODULE_FETCHED
       mod.resolve()
+
+      return promise
     }
   }
 
@@ -226,28 +267,221 @@
    * - /egg.js
    */
   var RE_URI = /^(?:https?:)?\//
+  var RE_EXTNAME = /\.[^.\/]+$/
+  var RE_STYLE_MODULE = /\.module\.css$/
+
+  /*
+   * The ids of stylesheets, JSON and text modules, such as `foo/bar.json`,
+   * come with the extensions listed in `system.extensions`. The rest are
+   * javascript.
+   */
+  function fileOf(id) {
+    // the class names in .module.css are exported by .module.css.js
+    if (RE_STYLE_MODULE.test(id)) return id + '.js'
+
+    var m = id.match(RE_EXTNAME)
+    var extensions = system.extensions || []
+
+    return m && (m[0] === '.css' || extensions.indexOf(m[0]) >= 0)
+      ? id
+      : id.replace(/\.js$/, '') + '.js'
+  }
+
+  function parseUri(id, base) {
+    var mapped = parseMap(id)
+
+    if (RE_URI.test(mapped)) {
+      return fileOf(mapped)
+    }
+
+    // the fingerprinted file name in production, if there's any.
+    var file = fileOf(id)
+    var manifest = system.manifest
+
+    if (manifest && manifest.hasOwnProperty(file)) file = manifest[file]
+
+    return resolve(base == null ? system.base : base, file)
+  }
+
+  /**
+   * Request the uris in order until one of them succeeds. Each uri is retried
+   * `system.retry` times, with the delay doubled every time.
+   *
+   * @param {Function} format    Returns the uri with the base passed
+   * @param {Function} callback  Called with the error and the last uri tried
+   */
+  function requestFallback(format, callback) {
+    var bases = [system.base].concat(system.fallbackBases || [])
+    var uris = []
+    var attempt = 0
+
+    for (var i = 0; i < bases.length; i++) {
+      var uri = format(bases[i])
+      if (uris.indexOf(uri) < 0) uris.push(uri)
+    }
+
+    function next() {
+      var current = uris[0]
+
+      request(current, function(err) {
+        if (!err) {
+          callback(null, current)
+        }
+        else if (attempt < (system.retry || 0)) {
+          var delay = 'retryDelay' in system ? system.retryDelay : 500
+          setTimeout(next, delay * Math.pow(2, attempt))
+          attempt++
+        }
+        else if (uris.length > 1) {
+          uris.shift()
+          attempt = 0
+          next()
+        }
+        else {
+          callback(err, current)
+        }
+      })
+    }
+
+    next()
+  }
+
+  /*
+   * Modules to fetch in the same tick are batched in combo requests if
+   * `system.combo` is on.
+   */
+  var comboQueue = []
+
+  function comboUri(mods, base) {
+    var ids = mods.map(function(mod) {
+      return parseUri(mod.id, '')
+    })
+
+    return (base ? base.replace(/\/$/, '') + '/' : '') + '??' + ids.join(',')
+  }
+
+  function comboFlush() {
+    var maxLength = system.comboMaxLength || 2000
+    var groups = [[]]
+
+    for (var i = 0; i < comboQueue.length; i++) {
+      var group = groups[groups.length - 1]
+      group.push(comboQueue[i])
+
+      if (group.length > 1 && comboUri(group, system.base).length > maxLength) {
+        groups.push([group.pop()])
+      }
+    }
+    comboQueue = []
+
+    groups.forEach(function(mods) {
+      if (mods.length === 1) return mods[0].request()
+
+      requestFallback(function(base) {
+        return comboUri(mods, base)
+      }, function(err, uri) {
+        mods.forEach(function(mod) {
+          // fetch separately to find out the one that fails
+          if (err) return mod.request()
+          mod.uri = uri
+          mod.fetched()
+        })
+      })
+    })
+  }
 
   Module.prototype.fetch = function() {
     var mod = this
 
     if (mod.status < MODULE_FETCHING) {
       mod.status = MODULE_FETCHING
-      var id = parseMap(mod.id)
-      var uri = RE_URI.test(id)
-        ? id
-        : resolve(system.base, mod.id)
 
-      uri = uri.replace(/\.js$/, '') + '.js'
-
-      request(uri, function(err) {
-        mod.status = err ? MODULE_ERROR : MODULE_FETCHED
-        mod.uri = uri
-        mod.resolve()
-      })
+      if (system.combo && !RE_URI.test(parseMap(mod.id)) && !parseChunk(mod.id) && !RE_STYLE.test(mod.id)) {
+        if (!comboQueue.length) setTimeout(comboFlush, 0)
+        comboQueue.push(mod)
+      } else {
+        mod.request()
+      }
     }
     else if (mod.status === MODULE_FETCHED) {
       mod.resolve()
     }
+    else if (mod.status === MODULE_ERROR) {
+      mod.reject()
+    }
+    else if (mod.failure) {
+      mod.failure.reject()
+    }
+  }
+
+  /*
+   * Modules might be bundled into chunks, such as the targets of require.async
+   * in production. Modules that share the same chunk wait for the same request.
+   */
+  var chunkRequests = {}
+
+  function parseChunk(id) {
+    return system.chunks && system.chunks.hasOwnProperty(id)
+      ? system.chunks[id]
+      : ''
+  }
+
+  Module.prototype.request = function() {
+    var mod = this
+    var id = parseChunk(mod.id) || mod.id
+    var pending = chunkRequests[id]
+
+    if (pending) return pending.push(mod)
+    pending = chunkRequests[id] = [mod]
+
+    requestFallback(function(base) {
+      return parseUri(id, base)
+    }, function(err, uri) {
+      delete chunkRequests[id]
+      for (var i = 0; i < pending.length; i++) {
+        pending[i].uri = uri
+        pending[i].fetched(err)
+      }
+    })
+  }
+
+  Module.prototype.fetched = function(err) {
+    if (err) {
+      this.status = MODULE_ERROR
+      this.reject()
+    } else {
+      this.status = MODULE_FETCHED
+      this.resolve()
+    }
+  }
+
+  /**
+   * Tell the imports that depend on the failed module about the error, with
+   * the chain of dependents that leads to the failed module.
+   */
+  Module.prototype.reject = function() {
+    var mod = this
+
+    function bubble(parent, chain) {
+      if (parent.onerror) {
+        var err = new Error('Failed to fetch ' + mod.id + ' from ' + mod.uri +
+          (chain.length > 1 ? ' (required by ' + chain.slice(1).join(' < ') + ')' : ''))
+        err.id = mod.id
+        err.uri = mod.uri
+        err.chain = chain
+        parent.onerror(err)
+      }
+
+      for (var i = 0; i < parent.dependents.length; i++) {
+        var dependent = parent.dependents[i]
+        if (chain.indexOf(dependent.id) >= 0) continue
+        // the dependents that show up later need to know about the failure too
+        dependent.failure = mod
+        bubble(dependent, dependent.onerror ? chain : chain.concat(dependent.id))
+      }
+    }
+
+    bubble(mod, [mod.id])
   }
 
   Module.prototype.resolve = function() {
@@ -262,7 +496,7 @@
     })
 
     deps.forEach(function(dep) {
-      dep.dependents.push(mod)
+      if (dep.dependents.indexOf(mod) < 0) dep.dependents.push(mod)
       dep.fetch()
     })
 
@@ -329,6 +563,7 @@
     require.async = importFactory(dirname(mod.id))
 
     mod.exports = {}
+    if (system.hot) mod.hot = new HotContext(mod)
 
     var exports = typeof factory === 'function'
       ? factory.call(null, require, mod.exports, mod)
@@ -342,28 +577,88 @@
   }
 
 
+  /*
+   * The modules and files replaced with false in the browser field of
+   * package.json, and the Node built-ins shimmed with false, are resolved to
+   * this one, which exports nothing.
+   */
+  var EMPTY_ID = 'oceanify/empty'
+  var emptyModule = new Module(EMPTY_ID)
+
+  emptyModule.exports = {}
+  emptyModule.status = MODULE_EXECUTED
+
+  /*
+   * Resolve the file in the way of Node with the aliases found while parsing
+   * the package, such as the directory with index.js in it. Then replace it
+   * with the one in the browser field of the package, if there's any.
+   */
+  function resolveFile(id) {
+    var mod = parseId(id)
+    var data = mod.version && system.modules[mod.name][mod.version]
+
+    if (!data) return id
+
+    var entry = mod.entry.replace(/\/$/, '').replace(/\.js$/, '')
+    var alias = data.alias
+    var browser = data.browser
+
+    if (alias && alias.hasOwnProperty(entry)) {
+      entry = alias[entry]
+      id = resolve(mod.name, mod.version, entry)
+    }
+
+    var file = './' + entry
+
+    if (!browser || !browser.hasOwnProperty(file)) return id
+    if (browser[file] === false) return EMPTY_ID
+
+    return browser[file].charAt(0) === '.'
+      ? resolve(mod.name, mod.version, browser[file].slice(2))
+      : id
+  }
+
   Module.resolve = function(id, context) {
     var map = system.modules
 
     if (!map || !context) return id
 
     if (id.charAt(0) === '.') {
-      return resolve(dirname(context), id)
+      return resolveFile(resolve(dirname(context), id))
     }
 
     var parent = parseId(context)
-    var deps = parent.name in map
-      ? map[parent.name][parent.version].dependencies
-      : map[system.name][system.version].dependencies
+    var data = parent.name in map
+      ? map[parent.name][parent.version]
+      : map[system.name][system.version]
+    var deps = data.dependencies || {}
+    var browser = data.browser
+
+    // the modules replaced in the browser field, such as `"fs": false`
+    if (browser && browser.hasOwnProperty(id)) {
+      if (browser[id] === false) return EMPTY_ID
+      id = browser[id]
+      if (id.charAt(0) === '.') {
+        return resolveFile(resolve(parent.name, parent.version, id.slice(2)))
+      }
+    }
 
     var relative = parseId(id)
+    var shims = system.shims
+
+    // the Node built-ins, which are shimmed by the packages at the top level
+    if (!(relative.name in deps) && shims && shims.hasOwnProperty(relative.name)) {
+      if (shims[relative.name] === false) return EMPTY_ID
+      deps = map[system.name][system.version].dependencies
+      relative = parseId(shims[relative.name])
+    }
 
     if (relative.name in deps) {
       var name = relative.name
       var version = deps[name]
       var entry = relative.entry || map[name][version].main || 'index'
 
-      return resolve(name, version, entry.replace(/\.js$/, ''))
+      return resolveFile(resolve(name, version, entry.replace(/\.js$/, '')))
     }
     else if (relative.name === system.name) {
       return resolve(system.name, system.version, relative.entry || system.main)
@@ -377,15 +672,141 @@
   }
 
 
+  /*
+   * Hot module replacement
+   */
+  function HotContext(mod) {
+    this.data = mod.hotData
+    this.accept = function(fn) {
+      mod.hotAccept = fn || true
+    }
+    this.dispose = function(fn) {
+      mod.hotDispose = fn
+    }
+  }
+
+  function hotReload() {
+    global.location.reload()
+  }
+
+  /**
+   * Find the modules to execute again when the module changed, which are the
+   * module itself and its dependents up to the ones that accept the update.
+   * Returns false if there's a route up to the entry that nobody accepts.
+   */
+  function hotOutdated(mod, outdated, boundaries) {
+    if (outdated.indexOf(mod) >= 0) return true
+    outdated.push(mod)
+
+    if (mod.hotAccept) {
+      boundaries.push(mod)
+      return true
+    }
+    if (!mod.dependents.length) return false
+
+    for (var i = 0; i < mod.dependents.length; i++) {
+      if (!hotOutdated(mod.dependents[i], outdated, boundaries)) return false
+    }
+    return true
+  }
+
+  function hotUpdate(id) {
+    var mod = registry[id]
+    var outdated = []
+    var boundaries = []
+
+    // not used in current page
+    if (!mod || mod.status < MODULE_EXECUTED) return
+    if (!hotOutdated(mod, outdated, boundaries)) return hotReload()
+    mod.outdated = true
+
+    request(parseUri(id) + '?hot=' + Date.now(), function(err) {
+      if (err) return hotReload()
+
+      // The factory and dependencies of mod are replaced by define() now. Use
+      // a temporary module to fetch the new dependencies if there's any.
+      var entry = new Module('hot-' + Date.now().toString(36))
+
+      entry.dependencies = [id]
+      entry.factory = function() {
+        mod.dependents.splice(mod.dependents.indexOf(entry), 1)
+        delete registry[entry.id]
+
+        for (var i = 0; i < outdated.length; i++) {
+          var outdatedMod = outdated[i]
+          var data = {}
+          if (outdatedMod.hotDispose) outdatedMod.hotDispose(data)
+          outdatedMod.hotData = data
+          outdatedMod.hotDispose = null
+          outdatedMod.status = MODULE_RESOLVED
+        }
+
+        for (var j = 0; j < boundaries.length; j++) {
+          var boundary = boundaries[j]
+          var accept = boundary.hotAccept
+          boundary.hotAccept = null
+          boundary.execute()
+          if (typeof accept === 'function') accept()
+        }
+      }
+      entry.status = MODULE_FETCHED
+      entry.resolve()
+    })
+  }
+
+  function hotStyle() {
+    var links = ArrayFn.slice.call(doc.getElementsByTagName('link'))
+
+    links.forEach(function(link) {
+      if (link.rel !== 'stylesheet') return
+      var clone = link.cloneNode()
+
+      // remove the old one after the new one is loaded to avoid flickering
+      onload(clone, function() {
+        if (link.parentNode) link.parentNode.removeChild(link)
+      })
+      clone.href = link.href.replace(/[?#].*$/, '') + '?hot=' + Date.now()
+      link.parentNode.insertBefore(clone, link.nextSibling)
+    })
+  }
+
+  var hotSource
+
+  function hotConnect(url) {
+    var source = new global.EventSource(url)
+
+    source.onmessage = function(e) {
+      // the class names in .module.css are exported, hence updated as modules
+      if (/\.css$/.test(e.data) && !RE_STYLE_MODULE.test(e.data)) hotStyle()
+      else hotUpdate(e.data)
+    }
+    return source
+  }
+
+
   var globalImport = importFactory()
 
   Object.assign(system, {
-    'import': function(ids, fn) {
-      globalImport([].concat(system.preload, ids), fn)
+    'import': function(ids, fn, errback) {
+      var preload = system.preload
+      var promise = globalImport(preload.concat(ids), fn, errback)
+
+      if (!promise) return
+
+      promise = promise.then(function(mods) {
+        mods = mods.slice(preload.length)
+        return typeof ids === 'string' ? mods[0] : mods
+      })
+      if (errback) promise['catch'](function() {})
+      return promise
     },
 
     config: function(opts) {
-      return Object.assign(system, opts)
+      Object.assign(system, opts)
+      if (system.hot && !hotSource && global.EventSource) {
+        hotSource = hotConnect(system.hot)
+      }
+      return system
     }
   })
 
@@ -398,6 +819,12 @@
 
     var mod = registry[id] || new Module(id)
 
+    // the script of timed out request might still get executed afterwards
+    if (mod.status > MODULE_FETCHED && mod.status < MODULE_ERROR && !mod.outdated) {
+      return
+    }
+
+    mod.outdated = false
     mod.dependencies = deps
     mod.factory = factory
     mod.status = MODULE_FETCHED
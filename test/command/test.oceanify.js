@@ -0,0 +1,132 @@
+'use strict'
+
+require('co-mocha')
+var _spawn = require('child_process').spawn
+var http = require('http')
+var fs = require('fs')
+var path = require('path')
+var expect = require('expect.js')
+
+var exists = fs.existsSync
+var bin = path.join(__dirname, '../../bin/oceanify.js')
+var root = path.join(__dirname, '../example')
+
+
+function oceanify(args) {
+  return new Promise(function(resolve, reject) {
+    var proc = _spawn(process.argv[0], [bin].concat(args), { cwd: root })
+    var stdout = ''
+
+    proc.stdout.on('data', function(chunk) {
+      stdout += chunk
+    })
+    proc.on('exit', function(code) {
+      if (code === 0) resolve(stdout)
+      else reject(new Error(code))
+    })
+  })
+}
+
+
+describe('bin/oceanify.js', function() {
+  var configPath = path.join(root, 'oceanify.config.js')
+
+  beforeEach(function* () {
+    yield new Promise(function(resolve) {
+      _spawn('rm', ['-rf', path.join(root, 'public')]).on('exit', resolve)
+    })
+  })
+
+  afterEach(function() {
+    if (exists(configPath)) fs.unlinkSync(configPath)
+  })
+
+  it('builds components and stylesheets', function* () {
+    yield oceanify([
+      'build',
+      '--match', 'main.js',
+      '--css-match', 'stylesheets/app.css',
+      '--dest', 'public'
+    ])
+
+    expect(exists(path.join(root, 'public/oceanify-example/0.0.1/main.js'))).to.be(true)
+    expect(exists(path.join(root, 'public/yen/1.2.4/index.js'))).to.be(true)
+    expect(exists(path.join(root, 'public/oceanify-example/0.0.1/stylesheets/app.css'))).to.be(true)
+  })
+
+  it('prints the cache hits and misses', function* () {
+    var args = ['build', '--match', 'main.js', '--cache', 'public/.cache']
+    var output = yield oceanify(args)
+
+    expect(output).to.match(/Cache hits 0, misses [1-9]\d*\n/)
+
+    output = yield oceanify(args)
+    expect(output).to.match(/Cache hits [1-9]\d*, misses 0\n/)
+  })
+
+  it('reads options from oceanify.config.js', function* () {
+    fs.writeFileSync(configPath, 'module.exports = ' + JSON.stringify({
+      match: 'v2/main.js',
+      paths: ['components', 'browser_modules'],
+      cssMatch: 'stylesheets/app.css'
+    }))
+
+    yield oceanify(['build'])
+
+    function read(id) {
+      return fs.readFileSync(path.join(root, 'public', id + '.js'), 'utf8')
+    }
+
+    // only the matched main components are bundled with the loader.
+    expect(read('oceanify-example/0.0.1/v2/main')).to.contain('oceanify.config(')
+    expect(read('oceanify-example/0.0.1/main')).to.not.contain('oceanify.config(')
+  })
+
+  it('prints dependencies graph', function* () {
+    var output = yield oceanify(['graph'])
+
+    expect(output).to.contain('oceanify-example/0.0.1/main\n')
+    expect(output).to.contain('│ └─┬ ez-editor@0.2.6')
+    expect(output).to.contain('│   ├── yen@1.2.4')
+    expect(output).to.contain('Packages:\n')
+  })
+
+  it('prints why module is included', function* () {
+    var output = yield oceanify(['graph', '--why', 'inherits'])
+
+    expect(output.trim()).to.equal([
+      'oceanify-example/0.0.1/main',
+      'oceanify-example/0.0.1/ma/saka/edit',
+      'ez-editor@0.2.6',
+      'inherits@2.0.4'
+    ].join(' > '))
+
+    var chains = JSON.parse(yield oceanify(['graph', '--why', 'yen', '--json']))
+    expect(chains.length).to.be(5)
+    // require('yen/events')
+    expect(chains.map(String)).to.contain('oceanify-example/0.0.1/subpath/index,yen@1.2.4')
+  })
+
+  it('serves components', function* () {
+    var proc = _spawn(process.argv[0], [bin, 'serve', '--port', '5050'], { cwd: root })
+
+    try {
+      yield new Promise(function(resolve) {
+        proc.stdout.on('data', function(chunk) {
+          if (/Server started/.test(chunk)) resolve()
+        })
+      })
+
+      var res = yield new Promise(function(resolve, reject) {
+        http.get('http://127.0.0.1:5050/oceanify-example/0.0.1/main.js?main', resolve)
+          .on('error', reject)
+      })
+
+      expect(res.statusCode).to.be(200)
+      expect(res.headers['content-type']).to.contain('javascript')
+      res.resume()
+    } finally {
+      proc.kill()
+    }
+  })
+})
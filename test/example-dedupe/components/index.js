@@ -0,0 +1,7 @@
+'use strict'
+
+var Emitter = require('emitter')
+var legacy = require('legacy')
+var widget = require('widget')
+
+module.exports = widget(new Emitter(), legacy)
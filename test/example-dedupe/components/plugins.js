@@ -0,0 +1,7 @@
+'use strict'
+
+var plugin = require('plugin')
+var host = require('host')
+var base = require('base')
+
+module.exports = [plugin(), host(), base]
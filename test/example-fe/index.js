@@ -1,7 +1,9 @@
 'use strict'
 
 var $ = require('yen')
+var fs = require('fs')
+var platform = require('./lib/node')
 
 module.exports = function() {
-  console.log($('body').attr('foo'))
+  console.log($('body').attr('foo'), platform(), fs.readFileSync)
 }
@@ -0,0 +1,7 @@
+'use strict'
+
+var os = require('os')
+
+module.exports = function() {
+  return os.platform()
+}
@@ -0,0 +1,19 @@
+'use strict'
+
+var koa = require('koa')
+
+var oceanify = require('../..')
+
+
+var app = koa()
+var middleware = oceanify({
+  root: __dirname,
+  hot: true
+})
+
+app.use(middleware)
+// closed by the tests to stop watching
+app.oceanify = middleware
+
+
+module.exports = app
@@ -0,0 +1,5 @@
+export const name = 'oceanify'
+
+export default function greet(who) {
+  return 'Hello, ' + who
+}
@@ -0,0 +1,9 @@
+import yen from 'yen'
+import greet, { name } from './greet'
+import legacy from './legacy'
+
+export default function() {
+  return import('./lazy').then(function(lazy) {
+    return [greet(name), legacy, lazy.default, typeof yen].join()
+  })
+}
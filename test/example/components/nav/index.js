@@ -0,0 +1,8 @@
+'use strict'
+
+require('./nav.css')
+var classes = require('./button.module.css')
+
+module.exports = function nav() {
+  return classes.button
+}
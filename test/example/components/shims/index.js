@@ -0,0 +1,17 @@
+'use strict'
+
+var EventEmitter = require('events')
+var path = require('path')
+var fs = require('fs')
+
+if (process.env.NODE_ENV !== 'production') {
+  console.log('Running shims in development')
+}
+
+var emitter = new EventEmitter()
+
+emitter.on('join', function(dir) {
+  console.log(path.join(dir, 'index.js'), fs)
+})
+
+module.exports = emitter
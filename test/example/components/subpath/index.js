@@ -0,0 +1,5 @@
+'use strict'
+
+var Events = require('yen/events')
+
+module.exports = new Events()
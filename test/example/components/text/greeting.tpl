@@ -0,0 +1 @@
+<p>Hello, {name}!</p>
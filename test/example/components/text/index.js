@@ -0,0 +1,6 @@
+'use strict'
+
+var greeting = require('./greeting.json')
+var template = require('./greeting.tpl')
+
+module.exports = template.replace('{name}', greeting.name)
@@ -3,6 +3,7 @@
 require('co-mocha')
 var glob = require('glob').sync
 var path = require('path')
+var fs = require('fs')
 var expect = require('expect.js')
 var exec = require('child_process').execSync
 
@@ -35,6 +36,10 @@ describe('oceanify.compileAll', function() {
     expect(entries).to.contain('public/yen/1.2.4/index.js')
     expect(entries).to.contain('public/yen/1.2.4/index.js.map')
 
+    // require('yen/events')
+    expect(entries).to.contain('public/yen/1.2.4/events.js')
+    expect(entries).to.contain('public/yen/1.2.4/events.js.map')
+
     expect(entries).to.contain('public/crox/1.3.1/build/crox-all.js')
     expect(entries).to.contain('public/crox/1.3.1/build/crox-all.js.map')
   })
@@ -55,4 +60,200 @@ describe('oceanify.compileAll', function() {
     expect(entries).to.contain('public/oceanify-example/0.0.1/v2/main.js')
     expect(entries).to.contain('public/oceanify-example/0.0.1/v2/main.js.map')
   })
+
+  it('should fingerprint file names if opts.hash is true', function* () {
+    yield compileAll({
+      dest: 'public',
+      match: 'main.js',
+      paths: 'components',
+      root: root,
+      hash: true
+    })
+
+    var manifest = JSON.parse(fs.readFileSync(path.join(root, 'public/manifest.json'), 'utf8'))
+    var main = manifest['oceanify-example/0.0.1/main.js']
+    var yen = manifest['yen/1.2.4/index.js']
+
+    expect(main).to.match(/^oceanify-example\/0\.0\.1\/main-[0-9a-f]{8}\.js$/)
+    expect(yen).to.match(/^yen\/1\.2\.4\/index-[0-9a-f]{8}\.js$/)
+    expect(fs.existsSync(path.join(root, 'public', main))).to.be(true)
+    expect(fs.existsSync(path.join(root, 'public', main + '.map'))).to.be(true)
+
+    var content = fs.readFileSync(path.join(root, 'public', main), 'utf8')
+    expect(content).to.contain(JSON.stringify(yen))
+    expect(content).to.contain('sourceMappingURL=./' + path.basename(main) + '.map')
+  })
+
+  it('should prune the entries no longer compiled from manifest.json', function* () {
+    var dest = path.join(root, 'public')
+
+    fs.mkdirSync(dest)
+    fs.writeFileSync(path.join(dest, 'manifest.json'), JSON.stringify({
+      'oceanify-example/0.0.1/removed.js': 'oceanify-example/0.0.1/removed-0123abcd.js',
+      'oceanify-example/0.0.1/stylesheets/app.css': 'oceanify-example/0.0.1/stylesheets/app-0123abcd.css'
+    }))
+
+    yield compileAll({
+      dest: 'public',
+      match: 'main.js',
+      paths: 'components',
+      root: root,
+      hash: true
+    })
+
+    var manifest = JSON.parse(fs.readFileSync(path.join(dest, 'manifest.json'), 'utf8'))
+    expect(manifest).to.not.have.key('oceanify-example/0.0.1/removed.js')
+    expect(manifest).to.have.key('oceanify-example/0.0.1/main.js')
+    // the stylesheets are left to compileStyleSheets
+    expect(manifest).to.have.key('oceanify-example/0.0.1/stylesheets/app.css')
+  })
+
+  it('should extract modules shared by entries if opts.commonChunks is set', function* () {
+    yield compileAll({
+      dest: 'public',
+      match: '{main,v2/main}.js',
+      paths: ['components', 'browser_modules'],
+      root: root,
+      commonChunks: 2
+    })
+
+    function read(id) {
+      return fs.readFileSync(path.join(root, 'public', id + '.js'), 'utf8')
+    }
+
+    var vendor = read('oceanify-example/0.0.1/vendor')
+    expect(vendor).to.contain('define("oceanify-example/0.0.1/ma/nga"')
+    expect(vendor).to.contain('define("yen/1.2.4/index"')
+    expect(vendor).to.not.contain('define("oceanify-example/0.0.1/ma/saka/edit"')
+
+    ;['oceanify-example/0.0.1/main', 'oceanify-example/0.0.1/v2/main'].forEach(function(id) {
+      var content = read(id)
+      expect(content).to.not.contain('define("oceanify-example/0.0.1/ma/nga"')
+      expect(content).to.contain('"oceanify-example/0.0.1/ma/nga":"oceanify-example/0.0.1/vendor"')
+      expect(content).to.contain('"yen/1.2.4/index":"oceanify-example/0.0.1/vendor"')
+    })
+
+    expect(read('oceanify-example/0.0.1/main')).to.contain('define("oceanify-example/0.0.1/ma/saka/edit"')
+  })
+
+  it('should not overwrite the component named vendor with common chunks', function* () {
+    var fpath = path.join(root, 'browser_modules/vendor.js')
+    var error
+
+    fs.writeFileSync(fpath, 'module.exports = {}\n')
+    try {
+      yield compileAll({
+        dest: 'public',
+        match: '{main,v2/main}.js',
+        paths: ['components', 'browser_modules'],
+        root: root,
+        commonChunks: 2
+      })
+    } catch (err) {
+      error = err
+    } finally {
+      fs.unlinkSync(fpath)
+    }
+
+    expect(error.message).to.contain('oceanify-example/0.0.1/vendor, which is a component already')
+  })
+
+  it('should record the sizes of modules if opts.stats is true', function* () {
+    yield compileAll({
+      dest: 'public',
+      match: 'main.js',
+      paths: 'components',
+      root: root,
+      stats: true
+    })
+
+    var stats = JSON.parse(fs.readFileSync(path.join(root, 'public/stats.json'), 'utf8'))
+    var main = stats['oceanify-example/0.0.1/main']
+    var ids = main.modules.map(function(mod) { return mod.id })
+
+    expect(ids).to.contain('loader')
+    expect(ids).to.contain('oceanify-example/0.0.1/ma/saka/edit')
+    var content = fs.readFileSync(path.join(root, 'public/oceanify-example/0.0.1/main.js'), 'utf8')
+    expect(main.minified).to.equal(content.split('\n//# sourceMappingURL')[0].length)
+
+    var edit = main.modules[ids.indexOf('oceanify-example/0.0.1/ma/saka/edit')]
+    expect(edit.package).to.equal('oceanify-example@0.0.1')
+    expect(edit.raw).to.be.above(edit.minified)
+    expect(edit.gzip).to.be.above(0)
+
+    expect(stats['yen/1.2.4/index'].modules[0].package).to.equal('yen@1.2.4')
+  })
+
+  it('should reuse the cached results in workers if opts.cache is set', function* () {
+    var cacheDir = path.join(root, 'public/.cache')
+    var opts = {
+      dest: 'public',
+      match: 'main.js',
+      paths: 'components',
+      root: root,
+      cache: cacheDir,
+      workers: 2
+    }
+
+    var stats = yield compileAll(opts)
+    var main = path.join(root, 'public/oceanify-example/0.0.1/main.js')
+    var content = fs.readFileSync(main, 'utf8')
+
+    expect(stats.hits).to.be(0)
+    expect(stats.misses).to.be.above(0)
+    expect(glob(path.join(cacheDir, '*.json')).length).to.equal(stats.misses)
+
+    fs.unlinkSync(main)
+    var cached = yield compileAll(opts)
+
+    expect(cached.hits).to.equal(stats.misses)
+    expect(cached.misses).to.be(0)
+    expect(fs.readFileSync(main, 'utf8')).to.equal(content)
+  })
+
+  it('should bundle the JSON and text modules required by other components', function* () {
+    yield compileAll({
+      dest: 'public',
+      match: 'main.js',
+      paths: 'components',
+      root: root
+    })
+
+    var fpath = path.join(root, 'public/oceanify-example/0.0.1/text/index.js')
+    var content = fs.readFileSync(fpath, 'utf8')
+
+    expect(content).to.contain('define("oceanify-example/0.0.1/text/greeting.json"')
+    expect(content).to.contain('define("oceanify-example/0.0.1/text/greeting.tpl"')
+  })
+
+  it('should bundle the stylesheets required by other components', function* () {
+    yield compileAll({
+      dest: 'public',
+      match: 'main.js',
+      paths: 'components',
+      root: root
+    })
+
+    var fpath = path.join(root, 'public/oceanify-example/0.0.1/nav/index.js')
+    var content = fs.readFileSync(fpath, 'utf8')
+
+    expect(content).to.contain('define("oceanify-example/0.0.1/nav/nav.css"')
+    expect(content).to.contain('define("oceanify-example/0.0.1/nav/button.module.css"')
+    expect(content).to.match(/button_[0-9a-f]+/)
+  })
+
+  it('should extract the stylesheets required by other components if opts.css is extract', function* () {
+    yield compileAll({
+      dest: 'public',
+      match: 'main.js',
+      paths: 'components',
+      root: root,
+      css: 'extract'
+    })
+
+    var css = fs.readFileSync(path.join(root, 'public/oceanify-example/0.0.1/nav/index.css'), 'utf8')
+
+    expect(css).to.contain('.nav{')
+    expect(css).to.match(/\.button_[0-9a-f]+/)
+  })
 })
@@ -9,6 +9,7 @@ var exec = require('child_process').execSync
 
 var compileComponent = require('..').compileComponent
 var parseMap = require('..').parseMap
+var styleModule = require('../lib/styleModule')
 
 var exists = fs.existsSync
 var readFile = fs.readFileSync
@@ -49,4 +50,182 @@ describe('oceanify.compileComponent', function() {
     expect(content).to.contain('yen/1.2.4/index')
     expect(content).to.contain('yen/1.2.4/events')
   })
+
+  it('should split the targets of require.async into chunks', function* () {
+    var map = yield* parseMap({ root: root })
+
+    yield* compileComponent('shadow/async', {
+      root: root,
+      dest: dest,
+      dependencies: ['yen'],
+      factory: heredoc(function() {/*
+        'use strict'
+        var $ = require('yen')
+        require.async('ma/saka/edit', function(edit) {
+          edit($)
+        })
+      */}),
+      dependenciesMap: map
+    })
+
+    var content = readFile(path.join(dest, 'oceanify-example/0.0.1/shadow/async.js'), 'utf-8')
+    var chunk = readFile(path.join(dest, 'oceanify-example/0.0.1/shadow/async.async-1.js'), 'utf-8')
+
+    expect(content).to.contain('chunks:{"oceanify-example/0.0.1/ma/saka/edit":"oceanify-example/0.0.1/shadow/async.async-1"}')
+    expect(content).to.not.contain('define("oceanify-example/0.0.1/ma/saka/edit"')
+    expect(content).to.not.contain('define("ez-editor/')
+
+    expect(chunk).to.contain('define("oceanify-example/0.0.1/ma/saka/edit"')
+    expect(chunk).to.contain('define("ez-editor/')
+    // modules in the parent bundle shall be left out
+    expect(chunk).to.not.contain('define("yen/1.2.4/index"')
+  })
+
+  it('should bundle ES modules and split the targets of import()', function* () {
+    var map = yield* parseMap({ root: root })
+
+    yield* compileComponent('esm/index', {
+      root: root,
+      dest: dest,
+      dependenciesMap: map
+    })
+
+    var content = readFile(path.join(dest, 'oceanify-example/0.0.1/esm/index.js'), 'utf-8')
+    var chunk = readFile(path.join(dest, 'oceanify-example/0.0.1/esm/index.async-1.js'), 'utf-8')
+
+    expect(content).to.contain('define("oceanify-example/0.0.1/esm/greet"')
+    expect(content).to.contain('define("oceanify-example/0.0.1/esm/legacy"')
+    expect(content).to.contain('define("yen/1.2.4/index"')
+    expect(content).to.contain('chunks:{"oceanify-example/0.0.1/esm/lazy":"oceanify-example/0.0.1/esm/index.async-1"}')
+    expect(content).to.not.contain('define("oceanify-example/0.0.1/esm/lazy"')
+    expect(chunk).to.contain('define("oceanify-example/0.0.1/esm/lazy"')
+  })
+
+  it('should bundle the shims of Node built-ins and replace process.env', function* () {
+    var map = yield* parseMap({ root: root })
+    var result = yield* compileComponent('shims/index', {
+      root: root,
+      dependenciesMap: map,
+      env: { NODE_ENV: 'production' }
+    })
+
+    expect(result.js).to.contain('define("events/1.1.1/events"')
+    expect(result.js).to.contain('define("path-browserify/0.0.1/index"')
+    expect(result.js).to.contain('shims:{')
+    expect(result.js).to.contain('fs:!1')
+    // the development branch is stripped
+    expect(result.js).to.not.contain('Running shims in development')
+    expect(result.js).to.not.contain('process.env')
+  })
+
+  it('should bundle the subpaths of modules required', function* () {
+    var map = yield* parseMap({ root: root })
+    var result = yield* compileComponent('subpath/index', {
+      root: root,
+      dependenciesMap: map
+    })
+
+    expect(result.js).to.contain('define("yen/1.2.4/events"')
+    // the main of yen is left out
+    expect(result.js).to.not.contain('define("yen/1.2.4/index"')
+  })
+
+  it('should compile ES2015+ syntax', function* () {
+    var map = yield* parseMap({ root: root })
+    var factory = heredoc(function() {/*
+      'use strict'
+      const heredoc = require('heredoc')
+      class Greeter {
+        greet(name) { return `hello, ${name}` }
+      }
+      module.exports = {
+        greeter: new Greeter(),
+        double: n => n * 2,
+        template: heredoc(function() {/*
+          <div></div>
+        *\/})
+      }
+    */}).replace('*\\/', '*/')
+
+    var result = yield* compileComponent('shadow/es2015', {
+      root: root,
+      dependencies: [],
+      factory: factory,
+      dependenciesMap: map
+    })
+
+    expect(result.js).to.contain('new class{')
+    expect(result.js).to.contain('=>')
+    expect(result.js).to.contain('<div></div>')
+    expect(result.js).to.not.contain('heredoc')
+
+    result = yield* compileComponent('shadow/es2015', {
+      root: root,
+      dependencies: [],
+      factory: factory,
+      dependenciesMap: map,
+      targets: 'ie 9'
+    })
+
+    expect(result.js).to.not.contain('class{')
+    expect(result.js).to.not.contain('=>')
+    expect(result.js).to.contain('<div></div>')
+  })
+
+  it('should bundle JSON and text modules', function* () {
+    var map = yield* parseMap({ root: root })
+    var result = yield* compileComponent('text/index', {
+      root: root,
+      dependenciesMap: map
+    })
+
+    expect(result.js).to.contain('define("oceanify-example/0.0.1/text/greeting.json"')
+    expect(result.js).to.contain('{name:"oceanify"}')
+    expect(result.js).to.contain('define("oceanify-example/0.0.1/text/greeting.tpl"')
+    expect(result.js).to.contain('"<p>Hello, {name}!</p>\\n"')
+    expect(result.js).to.contain('extensions:[".json",".html",".tpl"]')
+  })
+
+  it('should inline the stylesheets required', function* () {
+    var map = yield* parseMap({ root: root })
+    var result = yield* compileComponent('nav/index', {
+      root: root,
+      dependenciesMap: map
+    })
+
+    expect(result.js).to.contain('define("oceanify-example/0.0.1/nav/nav.css"')
+    expect(result.js).to.contain('createElement("style")')
+    expect(result.js).to.contain('display:flex')
+  })
+
+  it('should extract the stylesheets required', function* () {
+    var map = yield* parseMap({ root: root })
+    var result = yield* compileComponent('nav/index', {
+      root: root,
+      dest: dest,
+      dependenciesMap: map,
+      css: 'extract'
+    })
+
+    expect(result.js).to.contain('define("oceanify-example/0.0.1/nav/nav.css"')
+    expect(result.js).to.not.contain('display:flex')
+    expect(result.css).to.contain('display:flex')
+    expect(readFile(path.join(dest, 'oceanify-example/0.0.1/nav/index.css'), 'utf8')).to.contain('.nav{')
+  })
+
+  it('should export the scoped class names of .module.css', function* () {
+    var map = yield* parseMap({ root: root })
+    var result = yield* compileComponent('nav/index', {
+      root: root,
+      dependenciesMap: map
+    })
+    var style = yield* styleModule.compile(path.join(root, 'components/nav/button.module.css'), {
+      root: root,
+      paths: []
+    })
+    var classes = style.classes
+
+    expect(result.js).to.contain('define("oceanify-example/0.0.1/nav/button.module.css"')
+    expect(result.js).to.contain('{button:"' + classes.button + '",icon:"' + classes.icon + '"}')
+  })
 })
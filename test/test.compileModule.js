@@ -28,4 +28,17 @@ describe('oceanify.compileModule', function () {
     var fpath = path.join(root, 'public', id + '.js')
     expect(exists(fpath)).to.be(true)
   })
+
+  it('should bundle the files replaced in browser field', function* () {
+    var root = path.join(__dirname, 'example')
+    var pkg = require('./example/node_modules/currently-unhandled/package')
+    var id = path.join(pkg.name, pkg.version, 'index')
+
+    var result = yield* compileModule(id, { root: root })
+
+    // "./index.js": "./browser.js"
+    expect(result.js).to.contain('unhandledrejection')
+    expect(result.js).to.not.contain('process')
+    expect(result.js).to.contain(`${pkg.name}/${pkg.version}/core`)
+  })
 })
@@ -4,6 +4,8 @@ require('co-mocha')
 var path = require('path')
 var exec = require('child_process').execSync
 var exists = require('fs').existsSync
+var readFile = require('fs').readFileSync
+var writeFile = require('fs').writeFileSync
 var expect = require('expect.js')
 
 var compileStyleSheets = require('../lib/compileStyleSheets')
@@ -15,6 +17,10 @@ describe('oceanify.compileStyleSheets', function() {
     exec('rm -rf ' + path.join(__dirname, 'example', 'public'))
   })
 
+  after(function() {
+    exec('rm -rf ' + path.join(__dirname, 'example', 'public'))
+  })
+
   it('compiles stylesheets', function* () {
     yield* compileStyleSheets({
       match: 'stylesheets/app.css'
@@ -23,4 +29,125 @@ describe('oceanify.compileStyleSheets', function() {
     expect(exists(path.join(__dirname, 'example/public/oceanify-example/0.0.1/stylesheets/app.css')))
       .to.be(true)
   })
+
+  it('minifies stylesheets along with the source maps', function* () {
+    yield* compileStyleSheets({
+      match: 'nav/nav.css'
+    })
+
+    var dest = path.join(__dirname, 'example/public/oceanify-example/0.0.1')
+    var css = readFile(path.join(dest, 'nav/nav.css'), 'utf8')
+    var map = JSON.parse(readFile(path.join(dest, 'nav/nav.css.map'), 'utf8'))
+
+    expect(css).to.contain('.nav{display:')
+    expect(map.sources[0]).to.contain('components/nav/nav.css')
+    expect(map.mappings).to.not.be.empty()
+  })
+
+  it('prefixes stylesheets for opts.browsers', function* () {
+    yield* compileStyleSheets({
+      match: 'nav/nav.css',
+      browsers: 'safari 6'
+    })
+
+    var css = readFile(path.join(__dirname, 'example/public/oceanify-example/0.0.1/nav/nav.css'), 'utf8')
+    expect(css).to.contain('display:-webkit-box')
+  })
+
+  it('compiles stylesheets written in Sass or Less', function* () {
+    yield* compileStyleSheets({
+      match: 'stylesheets/*.css'
+    })
+
+    var dest = path.join(__dirname, 'example/public/oceanify-example/0.0.1/stylesheets')
+    var css = readFile(path.join(dest, 'theme.css'), 'utf8')
+    var map = JSON.parse(readFile(path.join(dest, 'theme.css.map'), 'utf8'))
+
+    expect(css).to.contain('.theme{color:#e5493a}.theme .title{display:')
+    // imported from node_modules
+    expect(css).to.contain('.editor .field{')
+    expect(map.sources.join()).to.contain('theme.scss')
+    expect(map.sources.join()).to.contain('_colors.scss')
+
+    css = readFile(path.join(dest, 'skin.css'), 'utf8')
+    expect(css).to.contain('.skin{color:#3a8ee5}.skin .title{display:')
+    expect(exists(path.join(dest, '_colors.css'))).to.be(false)
+  })
+
+  it('fingerprints stylesheets if opts.hash is true', function* () {
+    yield* compileStyleSheets({
+      match: 'stylesheets/app.css',
+      hash: true
+    })
+
+    var dest = path.join(__dirname, 'example/public')
+    var manifest = JSON.parse(readFile(path.join(dest, 'manifest.json'), 'utf8'))
+    var fname = manifest['oceanify-example/0.0.1/stylesheets/app.css']
+
+    expect(fname).to.match(/^oceanify-example\/0\.0\.1\/stylesheets\/app-[0-9a-f]{8}\.css$/)
+    expect(exists(path.join(dest, fname))).to.be(true)
+    expect(readFile(path.join(dest, fname), 'utf8'))
+      .to.contain('sourceMappingURL=' + path.basename(fname) + '.map')
+  })
+
+  it('prunes the stylesheets matched but no longer compiled from manifest.json', function* () {
+    var dest = path.join(__dirname, 'example/public')
+    var fpath = path.join(dest, 'manifest.json')
+    var manifest = JSON.parse(readFile(fpath, 'utf8'))
+
+    manifest['oceanify-example/0.0.1/stylesheets/removed.css'] = 'oceanify-example/0.0.1/stylesheets/removed-0123abcd.css'
+    manifest['oceanify-example/0.0.1/other/removed.css'] = 'oceanify-example/0.0.1/other/removed-0123abcd.css'
+    writeFile(fpath, JSON.stringify(manifest))
+
+    yield* compileStyleSheets({
+      match: 'stylesheets/*.css',
+      hash: true
+    })
+
+    manifest = JSON.parse(readFile(fpath, 'utf8'))
+    expect(manifest).to.not.have.key('oceanify-example/0.0.1/stylesheets/removed.css')
+    expect(manifest).to.have.key('oceanify-example/0.0.1/stylesheets/app.css')
+    // not matched this time
+    expect(manifest).to.have.key('oceanify-example/0.0.1/other/removed.css')
+  })
+
+  it('copies the assets in url() with fingerprints', function* () {
+    yield* compileStyleSheets({
+      match: 'stylesheets/logo.css'
+    })
+
+    var dest = path.join(__dirname, 'example/public/oceanify-example/0.0.1')
+    var css = readFile(path.join(dest, 'stylesheets/logo.css'), 'utf8')
+    var logo = css.match(/url\((\.\.\/assets\/logo-[0-9a-f]{8}\.jpg)\)/)[1]
+    // the urls in the stylesheets imported from node_modules
+    var thumb = css.match(/url\((\.\.\/assets\/thumb-[0-9a-f]{8}\.png)\)/)[1]
+
+    expect(exists(path.join(dest, 'stylesheets', logo))).to.be(true)
+    expect(exists(path.join(dest, 'stylesheets', thumb))).to.be(true)
+    expect(css).to.contain('url(http://at.alicdn.com/t/font_1408694598_1141465.woff)')
+  })
+
+  it('inlines the assets smaller than opts.inlineLimit', function* () {
+    yield* compileStyleSheets({
+      match: 'stylesheets/logo.css',
+      inlineLimit: 1024
+    })
+
+    var css = readFile(path.join(__dirname, 'example/public/oceanify-example/0.0.1/stylesheets/logo.css'), 'utf8')
+    expect(css).to.contain('url(data:image/png;base64,')
+    expect(css).to.match(/url\(\.\.\/assets\/logo-[0-9a-f]{8}\.jpg\)/)
+  })
+
+  it('scopes the class names in .module.css', function* () {
+    yield* compileStyleSheets({
+      match: 'nav/*.module.css'
+    })
+
+    var dest = path.join(__dirname, 'example/public/oceanify-example/0.0.1/nav')
+    var classes = JSON.parse(readFile(path.join(dest, 'button.module.css.json'), 'utf8'))
+
+    expect(classes.button).to.match(/^button_[0-9a-f]{6}$/)
+    expect(readFile(path.join(dest, 'button.module.css'), 'utf8'))
+      .to.contain('.' + classes.button + ':hover .' + classes.icon)
+  })
 })
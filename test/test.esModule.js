@@ -0,0 +1,66 @@
+'use strict'
+
+var expect = require('expect.js')
+var heredoc = require('heredoc').strip
+
+var esModule = require('../lib/esModule')
+
+
+/*
+ * Run the code converted as a CommonJS module, with the modules it requires.
+ */
+function run(code, modules) {
+  var module = { exports: {} }
+  var factory = new Function('require', 'exports', 'module', esModule.transform(code, 'index.js').code)
+
+  factory(function(id) { return modules[id] }, module.exports, module)
+  return module.exports
+}
+
+
+describe('oceanify.esModule', function() {
+  it('should tell ES modules from CommonJS', function() {
+    expect(esModule.test('import $ from \'yen\'')).to.be(true)
+    expect(esModule.test('export default 1')).to.be(true)
+    expect(esModule.test('var lazy = import(\'./lazy\')')).to.be(true)
+    expect(esModule.test('var $ = require(\'yen\')\nmodule.exports = $')).to.be(false)
+    expect(esModule.test('// import $ from "yen"\nimportScripts("worker.js")')).to.be(false)
+  })
+
+  it('should find the ids imported or required', function() {
+    var ids = esModule.findAll(heredoc(function() {/*
+      import $ from 'yen'
+      import { a,
+        b as c } from './foo'
+      import * as ns from "./ns"
+      import './side'
+      export { d } from './d'
+      var heredoc = require('heredoc')
+      import('./lazy')
+    */}))
+
+    expect(ids).to.eql(['heredoc', 'yen', './foo', './ns', './side', './d'])
+  })
+
+  it('should interop with the modules written in CommonJS', function() {
+    var greet = run(heredoc(function() {/*
+      export const name = 'oceanify'
+      export default function greet(who) { return 'Hello, ' + who }
+    */}))
+    var exports = run(heredoc(function() {/*
+      import legacy from './legacy'
+      import greet, { name } from './greet'
+      export default greet(name) + ', ' + legacy
+    */}), { './legacy': 'legacy', './greet': greet })
+
+    expect(greet.__esModule).to.be(true)
+    expect(exports['default']).to.equal('Hello, oceanify, legacy')
+  })
+
+  it('should convert import() into require.async()', function() {
+    var code = esModule.transform('import(\'./lazy\').then(console.log)', 'index.js').code
+
+    expect(code).to.contain('require.async(\'./lazy\').then(function (mod)')
+    expect(code).to.not.contain('import(')
+  })
+})
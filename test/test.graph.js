@@ -0,0 +1,63 @@
+'use strict'
+
+require('co-mocha')
+var path = require('path')
+var expect = require('expect.js')
+
+var graph = require('..').graph
+
+
+describe('oceanify.graph', function() {
+  var root = path.join(__dirname, 'example')
+  var result
+
+  before(function* () {
+    result = yield* graph.parse({ root: root })
+  })
+
+  it('should parse components and modules', function() {
+    var main = 'oceanify-example/0.0.1/main'
+
+    expect(result.nodes[main]).to.eql({ type: 'component', file: 'components/main.js' })
+    expect(result.nodes['ez-editor@0.2.6']).to.eql({ type: 'module', name: 'ez-editor', version: '0.2.6' })
+
+    expect(result.edges[main]).to.contain('oceanify-example/0.0.1/ma/saka/edit')
+    expect(result.edges[main]).to.contain('chart.js@1.0.2')
+    expect(result.edges['ez-editor@0.2.6']).to.contain('inherits@2.0.4')
+  })
+
+  it('should list the versions of each package', function() {
+    expect(result.modules.yen).to.eql(['1.2.4'])
+    expect(result.modules).to.not.have.key('oceanify-example')
+  })
+
+  it('should find the require chains of module', function() {
+    expect(graph.why(result, 'inherits@2.0.4')).to.eql([
+      [
+        'oceanify-example/0.0.1/main',
+        'oceanify-example/0.0.1/ma/saka/edit',
+        'ez-editor@0.2.6',
+        'inherits@2.0.4'
+      ]
+    ])
+    expect(graph.why(result, 'yen').length).to.be(5)
+    expect(graph.why(result, 'inherits@1.0.0')).to.eql([])
+  })
+
+  it('should find the require chains of subpaths and shims', function() {
+    // require('yen/events')
+    expect(graph.why(result, 'yen').map(String))
+      .to.contain('oceanify-example/0.0.1/subpath/index,yen@1.2.4')
+    // require('events') shimmed
+    expect(graph.why(result, 'events').map(String))
+      .to.contain('oceanify-example/0.0.1/shims/index,events@1.1.1')
+  })
+
+  it('should print graph in DOT language', function() {
+    var dot = graph.toDOT(result)
+
+    expect(dot).to.match(/^digraph oceanify \{/)
+    expect(dot).to.contain('"oceanify-example/0.0.1/main" [shape=box];')
+    expect(dot).to.contain('"ez-editor@0.2.6" -> "inherits@2.0.4";')
+  })
+})
@@ -0,0 +1,97 @@
+'use strict'
+
+require('co-mocha')
+var http = require('http')
+var path = require('path')
+var request = require('supertest')
+var expect = require('expect.js')
+
+var app = require('./example/app-hot')
+var fs = require('../lib/fs')
+
+var readFile = fs.readFile
+var writeFile = fs.writeFile
+
+
+function sleep(seconds) {
+  return new Promise(function(resolve) {
+    setTimeout(resolve, seconds * 1000)
+  })
+}
+
+
+describe('oceanify hot', function() {
+  var root = path.join(__dirname, 'example')
+  var server
+  var events
+
+  before(function(done) {
+    server = http.createServer(app.callback()).listen(0, function() {
+      http.get({
+        port: server.address().port,
+        path: '/__oceanify/events'
+      }, function(res) {
+        events = res
+        expect(res.headers['content-type']).to.contain('text/event-stream')
+        done()
+      })
+    })
+  })
+
+  after(function() {
+    events.destroy()
+    app.oceanify.close()
+    server.close()
+  })
+
+  it('should tell the loader where to listen', function(done) {
+    request(app.callback())
+      .get('/oceanify-example/0.0.1/main.js?main')
+      .expect(/"hot":"\/__oceanify\/events"/)
+      .expect(200)
+      .end(done)
+  })
+
+  it('should push changed module id', function* () {
+    var fpath = path.join(root, 'components/ma/nga.js')
+    var source = yield readFile(fpath, 'utf8')
+    var data = ''
+
+    events.on('data', function(chunk) {
+      data += chunk
+    })
+    yield sleep(0.5)
+    yield writeFile(fpath, source)
+    yield sleep(0.5)
+
+    expect(data).to.contain('data: oceanify-example/0.0.1/ma/nga\n\n')
+  })
+
+  it('should push changed stylesheet id', function* () {
+    var fpath = path.join(root, 'components/stylesheets/base.css')
+    var source = yield readFile(fpath, 'utf8')
+    var data = ''
+
+    events.on('data', function(chunk) {
+      data += chunk
+    })
+    yield writeFile(fpath, source)
+    yield sleep(0.5)
+
+    expect(data).to.contain('data: oceanify-example/0.0.1/stylesheets/base.css\n\n')
+  })
+
+  it('should remove the stylesheet of .module.css when updated', function(done) {
+    request(app.callback())
+      .get('/oceanify-example/0.0.1/nav/button.module.css.js')
+      .expect(/module\.hot\.dispose\(function\(\) \{ head\.removeChild\(style\) \}\)/)
+      .expect(200)
+      .end(done)
+  })
+
+  it('should end the event streams when closed', function(done) {
+    events.on('end', done)
+    events.resume()
+    app.oceanify.close()
+  })
+})
@@ -5,8 +5,10 @@ const request = require('supertest')
 const expect = require('expect.js')
 const path = require('path')
 const heredoc = require('heredoc').strip
+const koa = require('koa')
 
 const app = require('./example/app')
+const oceanify = require('..')
 const fs = require('../lib/fs')
 const glob = require('../lib/glob')
 
@@ -15,9 +17,9 @@ const writeFile = fs.writeFile
 const exists = fs.exists
 const lstat = fs.lstat
 
-function requestPath(apath) {
+function requestPath(apath, server) {
   return new Promise(function(resolve, reject) {
-    request(app.callback())
+    request((server || app).callback())
       .get(apath)
       .expect(200)
       .end(function(err, res) {
@@ -76,9 +78,112 @@ describe('oceanify', function() {
     yield requestPath('/oceanify-example/0.0.1/stylesheets/app.css')
   })
 
+  it('should handle stylesheets written in Sass or Less', function* () {
+    var res = yield requestPath('/oceanify-example/0.0.1/stylesheets/theme.css')
+    expect(res.text).to.contain('.theme .title {')
+    expect(res.text).to.contain('color: #e5493a')
+    expect(res.text).to.contain('.editor .field {')
+    expect(res.headers['content-type']).to.contain('css')
+
+    res = yield requestPath('/oceanify-example/0.0.1/stylesheets/skin.css')
+    expect(res.text).to.contain('.skin .title {')
+    expect(res.text).to.contain('color: #3a8ee5')
+  })
+
+  it('should handle components written in ES modules', function* () {
+    var res = yield requestPath('/oceanify-example/0.0.1/esm/index.js')
+
+    expect(res.text).to.contain('define("oceanify-example/0.0.1/esm/index", ["yen","./greet","./legacy"]')
+    expect(res.text).to.contain('exports.__esModule = true')
+    expect(res.text).to.contain('require.async(\'./lazy\')')
+    expect(res.text).to.contain('//# sourceMappingURL=data:application/json;base64,')
+  })
+
+  it('should replace process.env and config the shims of Node built-ins', function* () {
+    const res = yield requestPath('/oceanify-example/0.0.1/shims/index.js?main')
+
+    expect(res.text).to.contain(`if (${JSON.stringify(process.env.NODE_ENV || 'development')} !== 'production')`)
+    expect(res.text).to.contain('"shims":{')
+    expect(res.text).to.contain('"path":"path-browserify"')
+    expect(res.text).to.contain('"fs":false')
+  })
+
+  it('should serve the extensions and the shims in loaderConfig.json', function* () {
+    const res = yield requestPath('/loaderConfig.json')
+    const config = JSON.parse(res.text)
+
+    expect(config.modules).to.be.an('object')
+    expect(config.extensions).to.eql(['.json', '.html', '.tpl'])
+    expect(config.shims.path).to.equal('path-browserify')
+  })
+
   it('should serve raw assets too', function* () {
     yield requestPath('/raw/logo.jpg')
   })
+
+  it('should handle JSON and text modules', function* () {
+    var res = yield requestPath('/oceanify-example/0.0.1/text/greeting.json')
+    expect(res.text).to.contain('define("oceanify-example/0.0.1/text/greeting.json"')
+    expect(res.text).to.contain('module.exports = {"name":"oceanify"}')
+    expect(res.headers['content-type']).to.contain('javascript')
+
+    res = yield requestPath('/oceanify-example/0.0.1/text/greeting.tpl')
+    expect(res.text).to.contain('module.exports = "<p>Hello, {name}!</p>\\n"')
+
+    res = yield requestPath('/oceanify-example/0.0.1/text/index.js?main')
+    expect(res.text).to.contain('"extensions":[".json",".html",".tpl"]')
+  })
+
+  it('should handle stylesheets required by components', function* () {
+    var res = yield requestPath('/oceanify-example/0.0.1/nav/index.js')
+    expect(res.text).to.contain('define("oceanify-example/0.0.1/nav/index", ["./nav.css","./button.module.css"]')
+
+    res = yield requestPath('/oceanify-example/0.0.1/nav/nav.css')
+    expect(res.text).to.contain('.nav {')
+    expect(res.headers['content-type']).to.contain('css')
+  })
+
+  it('should prefix stylesheets for opts.browsers', function* () {
+    var root = path.join(__dirname, 'example')
+    var server = koa()
+
+    server.use(oceanify({
+      root: root,
+      dest: path.join(root, 'public/browsers'),
+      browsers: 'safari 6'
+    }))
+
+    var res = yield requestPath('/oceanify-example/0.0.1/nav/nav.css', server)
+    expect(res.text).to.contain('display: -webkit-box')
+  })
+
+  it('should scope the class names in .module.css', function* () {
+    var res = yield requestPath('/oceanify-example/0.0.1/nav/button.module.css.js')
+    var classes = JSON.parse(res.text.match(/module\.exports = (\{.*\})/)[1])
+
+    expect(res.text).to.contain('define("oceanify-example/0.0.1/nav/button.module.css", []')
+    expect(classes.button).to.match(/^button_[0-9a-f]{6}$/)
+    expect(classes.icon).to.match(/^icon_[0-9a-f]{6}$/)
+    expect(classes).to.not.have.key('disabled')
+
+    res = yield requestPath('/oceanify-example/0.0.1/nav/button.module.css')
+    expect(res.text).to.contain('.' + classes.button + ':hover .' + classes.icon)
+    expect(res.text).to.contain('.disabled .' + classes.button)
+  })
+
+  it('should concatenate modules in combo url', function* () {
+    var res = yield requestPath('/??oceanify-example/0.0.1/ma/nga.js,yen/1.2.4/index.js')
+    expect(res.text).to.contain('define("oceanify-example/0.0.1/ma/nga"')
+    expect(res.text).to.contain('\ndefine("yen/1.2.4/index"')
+    expect(res.headers['content-type']).to.contain('javascript')
+  })
+
+  it('should hand over combo url if any of the modules is missing', function(done) {
+    request(app.callback())
+      .get('/??oceanify-example/0.0.1/ma/nga.js,oceanify-example/0.0.1/404.js')
+      .expect(404)
+      .end(done)
+  })
 })
 
 
@@ -124,6 +229,37 @@ describe('oceanify Cache', function() {
     yield writeFile(fpath, source)
   })
 
+  it('should reprocess style if any of the imports changed', function* () {
+    var fpath = path.join(root, 'components/stylesheets/base.css')
+    var source = yield readFile(fpath, 'utf8')
+    var res = yield requestPath('/oceanify-example/0.0.1/stylesheets/app.css')
+
+    expect(res.text).to.not.contain('.imported')
+    yield writeFile(fpath, source + '\n.imported { color: red; }\n')
+
+    try {
+      res = yield requestPath('/oceanify-example/0.0.1/stylesheets/app.css')
+      expect(res.text).to.contain('.imported')
+    } finally {
+      yield writeFile(fpath, source)
+    }
+  })
+
+  it('should respond 304 if nothing in the import graph changed', function* () {
+    var res = yield requestPath('/oceanify-example/0.0.1/stylesheets/app.css')
+
+    yield new Promise(function(resolve, reject) {
+      request(app.callback())
+        .get('/oceanify-example/0.0.1/stylesheets/app.css')
+        .set('If-None-Match', res.headers.etag)
+        .expect(304)
+        .end(function(err) {
+          if (err) reject(err)
+          else resolve()
+        })
+    })
+  })
+
   it('should precompile dependencies', function* () {
     yield requestPath('/yen/1.2.4/index.js')
     yield sleep(2)
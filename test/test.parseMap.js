@@ -5,6 +5,7 @@ var path = require('path')
 var expect = require('expect.js')
 
 var parseMap = require('../lib/parseMap')
+var parseSystem = require('../lib/parseSystem')
 
 
 describe('oceanify.parseMap', function() {
@@ -24,6 +25,19 @@ describe('oceanify.parseMap', function() {
     expect(deps.yen.version).to.equal('1.2.4')
   })
 
+  it('apply the replacements in browser field', function* () {
+    var map = yield* parseMap({
+      paths: 'test',
+      root: path.join(__dirname, 'example-fe'),
+      serveSelf: true
+    })
+    var data = map['oceanify-example-fe']
+
+    expect(data.browser).to.eql({ './lib/node': './lib/browser', fs: false })
+    // neither fs nor the os required by lib/node.js is resolved
+    expect(data.dependencies).to.only.have.key('yen')
+  })
+
   it('parse application modules', function* () {
     var map = yield parseMap({
       root: path.join(__dirname, 'example')
@@ -32,4 +46,75 @@ describe('oceanify.parseMap', function() {
     expect(map).to.be.an(Object)
     expect(map.yen.version).to.equal('1.2.4')
   })
+
+  it('resolve the shims of Node built-ins at the top level', function* () {
+    var map = yield parseMap({
+      root: path.join(__dirname, 'example')
+    })
+
+    expect(map.events.version).to.equal('1.1.1')
+    expect(map['path-browserify'].version).to.equal('0.0.1')
+    expect(map).to.not.have.key('fs')
+
+    map = yield parseMap({
+      root: path.join(__dirname, 'example'),
+      shims: { path: false }
+    })
+    expect(map).to.not.have.key('path-browserify')
+  })
+
+  it('resolve the mains of modules in the way of Node', function* () {
+    var map = yield parseMap({
+      root: path.join(__dirname, 'example')
+    })
+    var deps = map['ez-editor'].dependencies
+
+    // `"browser": "./inherits_browser.js"` in package.json
+    expect(deps.inherits.main).to.equal('inherits_browser.js')
+    // `"main": "./build/crox-all.js"` in package.json
+    expect(deps.crox.main).to.equal('build/crox-all.js')
+    // require('yen/events')
+    expect(map.yen.entries).to.eql(['events'])
+  })
+
+  it('check the versions found against the ranges required', function* () {
+    var root = path.join(__dirname, 'example-dedupe')
+    var map = yield parseMap({ root: root })
+
+    // legacy@1.0.0 doesn't satisfy ^2.0.0, which is warned about only
+    expect(map.legacy.version).to.equal('1.0.0')
+
+    var error
+    try {
+      yield parseMap({ root: root, strict: true })
+    } catch (err) {
+      error = err
+    }
+    expect(error.message).to.contain('legacy@1.0.0 doesn\'t satisfy ^2.0.0')
+  })
+
+  it('dedupe the compatible versions into the highest one', function* () {
+    var root = path.join(__dirname, 'example-dedupe')
+    var pkg = require(path.join(root, 'package.json'))
+    var map = yield parseMap({ root: root })
+
+    expect(map.widget.dependencies.emitter.version).to.equal('1.0.0')
+    expect(parseSystem(pkg, map).modules.emitter).to.only.have.keys('1.0.0', '1.1.0')
+
+    map = yield parseMap({ root: root, dedupe: true })
+    expect(map.widget.dependencies.emitter.version).to.equal('1.1.0')
+    expect(parseSystem(pkg, map).modules.emitter).to.only.have.key('1.1.0')
+  })
+
+  it('dedupe into none of the versions left only in the modules replaced', function* () {
+    var root = path.join(__dirname, 'example-dedupe')
+    var pkg = require(path.join(root, 'package.json'))
+    var map = yield parseMap({ root: root, dedupe: true })
+    var modules = parseSystem(pkg, map).modules
+
+    // plugin@1.0.0 is replaced with plugin@1.1.0 required by host, hence the
+    // base@1.2.0 required by plugin@1.0.0 is gone.
+    expect(modules.plugin).to.only.have.key('1.1.0')
+    expect(modules.base).to.only.have.key('1.0.0')
+  })
 })
@@ -18,4 +18,16 @@ describe('oceanify.parseSystem', function() {
     expect(system.modules).to.be.an(Object)
     expect(Object.keys(system.modules.yen)).to.eql(['1.2.4'])
   })
+
+  it('keep the replacements in browser field', function* () {
+    const feRoot = path.join(__dirname, 'example-fe')
+    const map = yield parseMap({ root: feRoot, paths: 'test', serveSelf: true })
+    const pkg = require(path.join(feRoot, 'package.json'))
+    const system = parseSystem(pkg, map)
+
+    expect(system.modules[pkg.name][pkg.version].browser).to.eql({
+      './lib/node': './lib/browser',
+      fs: false
+    })
+  })
 })
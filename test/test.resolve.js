@@ -0,0 +1,33 @@
+'use strict'
+
+require('co-mocha')
+var path = require('path')
+var expect = require('expect.js')
+
+var resolve = require('../lib/resolve')
+
+var root = path.join(__dirname, 'example/node_modules')
+
+
+describe('oceanify.resolve', function() {
+  it('resolve files with .js or .json appended', function* () {
+    var dir = path.join(root, 'statuses')
+
+    expect(yield* resolve.file(dir, 'index')).to.equal('index.js')
+    expect(yield* resolve.file(dir, './index.js')).to.equal('index.js')
+    expect(yield* resolve.file(dir, 'codes')).to.equal('codes.json')
+    expect(yield* resolve.file(dir, 'missing')).to.be(undefined)
+  })
+
+  it('resolve directories with index.js or package.json', function* () {
+    expect(yield* resolve.file(path.join(root, 'highlight.js'), 'lib')).to.equal('lib/index.js')
+    // `"main": "./lib/index.js"` in highlight.js/package.json
+    expect(yield* resolve.file(root, 'highlight.js')).to.equal('highlight.js/lib/index.js')
+  })
+
+  it('split the names and the subpaths of modules', function() {
+    expect(resolve.split('yen')).to.eql({ name: 'yen', entry: '' })
+    expect(resolve.split('highlight.js/lib/highlight')).to.eql({ name: 'highlight.js', entry: 'lib/highlight' })
+    expect(resolve.split('@my/util/lib/foo')).to.eql({ name: '@my/util', entry: 'lib/foo' })
+  })
+})
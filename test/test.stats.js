@@ -0,0 +1,81 @@
+'use strict'
+
+require('co-mocha')
+var expect = require('expect.js')
+var path = require('path')
+var fs = require('fs')
+var exec = require('child_process').execSync
+
+var stats = require('../lib/stats')
+
+
+describe('stats', function() {
+  function bundle(modules) {
+    var size = modules.reduce(function(result, mod) {
+      return result + mod.minified
+    }, 0)
+
+    return { raw: size * 2, minified: size, gzip: size / 2, modules: modules }
+  }
+
+  var before = {
+    main: bundle([
+      { id: 'app/1.0.0/main', package: 'app@1.0.0', raw: 200, minified: 100, gzip: 50 },
+      { id: 'yen/1.2.4/index', package: 'yen@1.2.4', raw: 400, minified: 200, gzip: 100 }
+    ])
+  }
+
+  var after = {
+    main: bundle([
+      { id: 'app/1.0.0/main', package: 'app@1.0.0', raw: 200, minified: 100, gzip: 50 },
+      { id: 'yen/1.3.0/index', package: 'yen@1.3.0', raw: 600, minified: 300, gzip: 150 }
+    ])
+  }
+
+  it('should diff the modules of bundles', function() {
+    expect(stats.diff(before, after)).to.eql([
+      { bundle: 'main', id: null, before: 300, after: 400, delta: 100 },
+      { bundle: 'main', id: 'yen/1.2.4/index', before: 200, after: undefined, delta: -200 },
+      { bundle: 'main', id: 'yen/1.3.0/index', before: undefined, after: 300, delta: 300 }
+    ])
+    expect(stats.diff(before, before)).to.eql([])
+  })
+
+  it('should print the changes in table', function() {
+    var table = stats.toDiffTable(stats.diff(before, after))
+
+    expect(table).to.contain('main                300 B  400 B  +100 B')
+    expect(table).to.contain('  yen/1.2.4/index   200 B      -  -200 B')
+    expect(stats.toDiffTable([])).to.equal('No changes')
+  })
+
+  it('should print the sizes of modules in table', function() {
+    var table = stats.toTable(after)
+
+    expect(table).to.contain('yen/1.3.0/index  yen@1.3.0  600 B     300 B  150 B')
+    expect(table).to.contain('total                       800 B     400 B  200 B')
+  })
+
+  it('should drop the bundles no longer in dest when updating', function* () {
+    var dest = path.join(__dirname, 'example/public')
+
+    exec('rm -rf ' + dest)
+    fs.mkdirSync(dest)
+    fs.writeFileSync(path.join(dest, 'main.js'), '')
+    fs.writeFileSync(path.join(dest, 'greeting.json'), '')
+    fs.writeFileSync(path.join(dest, 'vendor-0123abcd.js'), '')
+    fs.writeFileSync(path.join(dest, 'manifest.json'), JSON.stringify({ 'vendor.js': 'vendor-0123abcd.js' }))
+    fs.writeFileSync(path.join(dest, 'stats.json'), JSON.stringify({
+      main: before.main,
+      'greeting.json': before.main,
+      vendor: before.main,
+      removed: before.main
+    }))
+
+    yield* stats.update(dest, { added: after.main })
+    var result = JSON.parse(fs.readFileSync(path.join(dest, 'stats.json'), 'utf8'))
+
+    expect(Object.keys(result).sort()).to.eql(['added', 'greeting.json', 'main', 'vendor'])
+    exec('rm -rf ' + dest)
+  })
+})
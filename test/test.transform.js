@@ -0,0 +1,184 @@
+'use strict'
+
+require('co-mocha')
+var path = require('path')
+var expect = require('expect.js')
+var koa = require('koa')
+var request = require('supertest')
+var SourceMapConsumer = require('source-map').SourceMapConsumer
+var SourceMapGenerator = require('source-map').SourceMapGenerator
+
+var oceanify = require('..')
+var transform = require('../lib/transform')
+
+
+/*
+ * Prepend two empty lines to the source, along with the map of it.
+ */
+function pad(source) {
+  var generator = new SourceMapGenerator()
+
+  source.split('\n').forEach(function(line, i) {
+    generator.addMapping({
+      generated: { line: i + 3, column: 0 },
+      original: { line: i + 1, column: 0 },
+      source: 'unknown'
+    })
+  })
+
+  return { code: '\n\n' + source, map: generator.toJSON() }
+}
+
+function requestPath(app, apath) {
+  return new Promise(function(resolve, reject) {
+    request(app.callback())
+      .get(apath)
+      .expect(200)
+      .end(function(err, res) {
+        if (err) reject(err)
+        else resolve(res)
+      })
+  })
+}
+
+function mark(source, info) {
+  return source + '\nconsole.log(' + JSON.stringify('transformed ' + info.id) + ')'
+}
+
+
+describe('oceanify.transform', function() {
+  var root = path.join(__dirname, 'example')
+
+  it('should normalize functions, module names, and scoped transforms', function() {
+    var transforms = transform.normalize([
+      mark,
+      { transform: pad, match: 'components/**' }
+    ], root)
+
+    expect(transforms[0]).to.eql({ transform: mark, match: [], root: root })
+    expect(transforms[1]).to.eql({ transform: pad, match: ['components/**'], root: root })
+    expect(transform.normalize(transforms, '/')).to.eql(transforms)
+
+    expect(function() {
+      transform.normalize(['./package.json'], root)
+    }).to.throwException(/is not a function/)
+  })
+
+  it('should match files with globs relative to root', function() {
+    var item = transform.normalize({
+      transform: mark,
+      match: ['components/**', '!components/ma/**']
+    }, root)[0]
+
+    expect(transform.matches(item, path.join(root, 'components/main.js'))).to.be(true)
+    expect(transform.matches(item, path.join(root, 'components/ma/nga.js'))).to.be(false)
+    expect(transform.matches(item, path.join(root, 'node_modules/yen/index.js'))).to.be(false)
+  })
+
+  it('should replace the process.env configured', function* () {
+    var code = [
+      'if (process.env.NODE_ENV !== \'production\') debug(process.env.DEBUG)',
+      'var env = foo.process.env.NODE_ENV'
+    ].join('\n')
+    var result = yield* transform.apply([], code, {
+      id: 'oceanify-example/0.0.1/env',
+      filename: path.join(root, 'components/env.js'),
+      isModule: false,
+      env: { NODE_ENV: 'production' }
+    })
+
+    expect(result.code).to.contain('if ("production" !== \'production\') debug(process.env.DEBUG)')
+    expect(result.code).to.contain('foo.process.env.NODE_ENV')
+  })
+
+  it('should not replace the process.env in strings or comments', function* () {
+    var code = [
+      'var name = \'process.env.NODE_ENV\' // process.env.NODE_ENV',
+      'var text = `process.env.NODE_ENV is ${process.env.NODE_ENV}`'
+    ].join('\n')
+    var result = yield* transform.apply([], code, {
+      id: 'oceanify-example/0.0.1/env',
+      filename: path.join(root, 'components/env.js'),
+      isModule: false,
+      env: { NODE_ENV: 'production' }
+    })
+
+    expect(result.code).to.contain('var name = \'process.env.NODE_ENV\' // process.env.NODE_ENV')
+    expect(result.code).to.contain('var text = `process.env.NODE_ENV is ${"production"}`')
+  })
+
+  it('should not replace the process.env assigned to', function* () {
+    var code = [
+      'process.env.NODE_ENV = \'test\'',
+      'process.env.NODE_ENV += \'ing\'',
+      'if (process.env.NODE_ENV == \'production\') done()'
+    ].join('\n')
+    var result = yield* transform.apply([], code, {
+      id: 'oceanify-example/0.0.1/env',
+      filename: path.join(root, 'components/env.js'),
+      isModule: false,
+      env: { NODE_ENV: 'production' }
+    })
+
+    expect(result.code).to.contain('process.env.NODE_ENV = \'test\'')
+    expect(result.code).to.contain('process.env.NODE_ENV += \'ing\'')
+    expect(result.code).to.contain('if ("production" == \'production\') done()')
+  })
+
+  it('should compose the maps of transforms', function* () {
+    var result = yield* transform.apply(transform.normalize([pad, pad], root), 'foo()\nbar()', {
+      id: 'oceanify-example/0.0.1/foo',
+      filename: path.join(root, 'components/foo.js'),
+      isModule: false
+    })
+    var consumer = new SourceMapConsumer(result.map)
+
+    expect(result.code).to.equal('\n\n\n\nfoo()\nbar()')
+    expect(consumer.originalPositionFor({ line: 6, column: 0 })).to.eql({
+      source: 'components/foo.js', line: 2, column: 0, name: null
+    })
+  })
+
+  it('should drop the map if any of the transforms returned none', function* () {
+    var result = yield* transform.apply(transform.normalize([pad, mark], root), 'foo()', {
+      id: 'oceanify-example/0.0.1/foo',
+      filename: path.join(root, 'components/foo.js'),
+      isModule: false
+    })
+
+    expect(result.code).to.contain('transformed oceanify-example/0.0.1/foo')
+    expect(result).to.not.have.key('map')
+  })
+
+  it('should transform the components in the middleware', function* () {
+    var app = koa()
+
+    app.use(oceanify({
+      root: root,
+      cacheExcept: '*',
+      transforms: [{ transform: mark, match: 'components/**' }]
+    }))
+
+    var res = yield requestPath(app, '/oceanify-example/0.0.1/ma/nga.js')
+    expect(res.text).to.contain('console.log("transformed oceanify-example/0.0.1/ma/nga")')
+
+    res = yield requestPath(app, '/yen/1.2.4/index.js')
+    expect(res.text).to.not.contain('transformed')
+  })
+
+  it('should transform the components when compiling', function* () {
+    var map = yield* oceanify.parseMap({ root: root })
+    var result = yield* oceanify.compileComponent('ma/nga', {
+      root: root,
+      dependenciesMap: map,
+      transforms: [
+        { transform: pad, match: 'components/**' },
+        { transform: mark, match: 'node_modules/**' }
+      ]
+    })
+
+    expect(result.js).to.not.contain('console.log("transformed oceanify-example/0.0.1/ma/nga")')
+    expect(result.js).to.contain('console.log("transformed yen/1.2.4/index")')
+    expect(JSON.parse(result.map).sources).to.contain('components/ma/nga.js')
+  })
+})